@@ -0,0 +1,611 @@
+/*!
+ * MoonlightAI - 달빛 AI 페이지(ai.html, ainew.html)가 함께 쓰는 생성형 AI 제공자 레이어.
+ * Supports:
+ *  - Gemini (generateContent 스트리밍 / Imagen), OpenAI 호환 API, Ollama 스타일 로컬 엔드포인트
+ *  - 네트워크 없이 동작하는 mock 제공자 (UI 테스트용)
+ *  - 사용자가 입력한 API 키/모델을 이 브라우저 localStorage 에만 저장 (소스에 키를 넣지 않음)
+ *  - 제공자/모델/주소를 고르는 설정 대화상자
+ *  - 429/5xx 지수 백오프 재시도, AbortSignal 중지
+ *
+ * URL 로 임시 덮어쓰기 (저장되지 않음):
+ *  ai.html?provider=mock                       → 네트워크 없이 테스트
+ *  ai.html?provider=gemini&apiBase=http://localhost:8787/v1beta  → 로컬 목 서버 (저장된 키는 보내지 않음)
+ *
+ * Usage example:
+ *  const text = await MoonlightAI.chat({
+ *    system: '너는 친절한 도우미야.',
+ *    messages: [{ role: 'user', text: '안녕?' }],
+ *    onChunk: (chunk) => output.textContent += chunk,
+ *    signal: controller.signal
+ *  });
+ *  const [dataUrl] = await MoonlightAI.generateImage({ prompt: 'a cat', aspectRatio: '1:1' });
+ *  const [edited] = await MoonlightAI.generateImage({
+ *    prompt: 'make it night', negativePrompt: 'blurry', seed: 42, referenceImage: dataUrl
+ *  });
+ *  await MoonlightAI.openSettings({ kind: 'image' });
+ */
+
+(function (global) {
+  'use strict';
+
+  const SETTINGS_KEY = 'moonlight_ai_settings_v1';
+
+  const PROVIDERS = {
+    gemini: {
+      label: 'Google Gemini',
+      needsKey: true,
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      chatModel: 'gemini-2.5-flash-preview-09-2025',
+      imageModel: 'imagen-4.0-generate-001',
+      editModel: 'gemini-2.5-flash-image-preview', // 참조 이미지 편집용 (Imagen predict 는 입력 이미지를 받지 않음)
+      supports: { chat: true, image: true },
+      keyHelp: 'Google AI Studio 에서 발급한 API 키',
+    },
+    openai: {
+      label: 'OpenAI 호환 API',
+      needsKey: true,
+      baseUrl: 'https://api.openai.com/v1',
+      chatModel: 'gpt-4o-mini',
+      imageModel: 'gpt-image-1',
+      supports: { chat: true, image: true },
+      keyHelp: 'Bearer 토큰 (LM Studio, vLLM 등 로컬 서버는 비워 둬도 됩니다)',
+    },
+    ollama: {
+      label: 'Ollama (로컬)',
+      needsKey: false,
+      baseUrl: 'http://localhost:11434',
+      chatModel: 'llama3.2',
+      imageModel: '',
+      supports: { chat: true, image: false },
+      keyHelp: '키가 필요 없습니다. OLLAMA_ORIGINS 에 이 사이트 주소를 허용해 주세요.',
+    },
+    mock: {
+      label: 'Mock (오프라인 테스트)',
+      needsKey: false,
+      baseUrl: '',
+      chatModel: 'mock-chat',
+      imageModel: 'mock-image',
+      supports: { chat: true, image: true },
+      keyHelp: '네트워크 없이 가짜 응답을 돌려줍니다.',
+    },
+  };
+
+  const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+
+  function abortError() {
+    const error = new Error('요청을 중지했습니다.');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  function providerError(message, extra = {}) {
+    return Object.assign(new Error(message), extra);
+  }
+
+  // ---------------------------------------------------------------------------
+  // 설정 (localStorage)
+  // ---------------------------------------------------------------------------
+
+  function loadSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(global.localStorage.getItem(SETTINGS_KEY) || '{}');
+    } catch (e) { /* 손상된 값은 무시 */ }
+
+    const settings = { provider: saved.provider in PROVIDERS ? saved.provider : 'gemini', providers: {} };
+    Object.keys(PROVIDERS).forEach((id) => {
+      const defaults = PROVIDERS[id];
+      const stored = (saved.providers && saved.providers[id]) || {};
+      settings.providers[id] = {
+        apiKey: stored.apiKey || '',
+        baseUrl: stored.baseUrl || defaults.baseUrl,
+        chatModel: stored.chatModel || defaults.chatModel,
+        imageModel: stored.imageModel || defaults.imageModel,
+      };
+    });
+    return settings;
+  }
+
+  function saveSettings(settings) {
+    global.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    emit('change', getActive());
+  }
+
+  /**
+   * 현재 사용할 제공자 설정. URL 의 ?provider= / ?apiBase= 는 저장하지 않고 이번 페이지에만 적용합니다.
+   * 저장된 키는 저장된 주소로만 보냅니다. ?apiBase= 가 다른 주소를 가리키면 키를 빼고 보냅니다
+   * (링크 하나로 키가 다른 서버에 새어 나가지 않도록).
+   */
+  function getActive() {
+    const settings = loadSettings();
+    const params = new URLSearchParams(global.location ? global.location.search : '');
+    const id = PROVIDERS[params.get('provider')] ? params.get('provider') : settings.provider;
+    const config = { ...settings.providers[id] };
+    const apiBase = params.get('apiBase');
+    if (apiBase) {
+      const trim = (url) => String(url || '').replace(/\/+$/, '');
+      if (id !== 'mock' && config.apiKey && trim(apiBase) !== trim(config.baseUrl)) config.apiKey = '';
+      config.baseUrl = apiBase;
+    }
+    return { id, ...PROVIDERS[id], ...config, baseUrl: config.baseUrl.replace(/\/+$/, '') };
+  }
+
+  /**
+   * 화면 표시용 이름 (예: "Google Gemini · gemini-2.5-flash")
+   * @param {'chat'|'image'} kind
+   */
+  function describe(kind = 'chat') {
+    const active = getActive();
+    return `${active.label} · ${kind === 'image' ? active.imageModel : active.chatModel}`;
+  }
+
+  function ensureReady(active, kind) {
+    if (!active.supports[kind]) {
+      throw providerError(`${active.label} 는 ${kind === 'image' ? '이미지 생성' : '채팅'}을 지원하지 않습니다. 설정에서 다른 제공자를 선택하세요.`, { code: 'UNSUPPORTED' });
+    }
+    if (active.needsKey && !active.apiKey && active.baseUrl === PROVIDERS[active.id].baseUrl) {
+      throw providerError('API 키가 설정되지 않았습니다. 설정에서 키를 입력하세요.', { code: 'NO_KEY' });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // 이벤트
+  // ---------------------------------------------------------------------------
+
+  const listeners = {};
+  function on(type, fn) {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => { listeners[type] = listeners[type].filter((f) => f !== fn); };
+  }
+  function emit(type, payload) {
+    (listeners[type] || []).forEach((fn) => {
+      try { fn(payload); } catch (e) { console.error(e); }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 네트워크 헬퍼
+  // ---------------------------------------------------------------------------
+
+  /**
+   * POST JSON 요청. HTTP 오류는 status 와 retryable(429, 5xx) 정보를 담아 던집니다.
+   */
+  async function postJSON(url, body, { headers = {}, signal } = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const detail = (data.error && (data.error.message || data.error)) || response.statusText || '알 수 없는 오류';
+      throw providerError(`HTTP ${response.status} - ${detail}`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500,
+      });
+    }
+    return response;
+  }
+
+  /**
+   * 429/5xx 는 지수 백오프로 재시도. 스트리밍이 이미 시작된 뒤의 오류는 재시도하지 않습니다.
+   */
+  async function withRetry(task, { signal, maxRetries = 5, delay = 1000 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const state = { started: false };
+      try {
+        return await task(state);
+      } catch (error) {
+        if (error.name === 'AbortError' || !error.retryable || state.started || attempt >= maxRetries) throw error;
+        console.warn(`AI 요청 실패 (시도 ${attempt}/${maxRetries}):`, error.message);
+        await sleep(delay, signal);
+        delay *= 2;
+      }
+    }
+  }
+
+  /**
+   * 응답 본문을 줄 단위로 읽음 (SSE 의 data: 줄, NDJSON 모두 처리)
+   */
+  async function readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        if (line.trim()) onLine(line);
+      }
+    }
+    if (buffer.trim()) onLine(buffer.trim());
+  }
+
+  function readSSE(response, onData) {
+    return readLines(response, (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (data && data !== '[DONE]') onData(JSON.parse(data));
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 채팅
+  // ---------------------------------------------------------------------------
+
+  const chatAdapters = {
+    async gemini(active, { messages, system, signal }, push, state) {
+      const url = `${active.baseUrl}/models/${active.chatModel}:streamGenerateContent?alt=sse&key=${encodeURIComponent(active.apiKey)}`;
+      const body = { contents: messages.map((m) => ({ role: m.role === 'user' ? 'user' : 'model', parts: [{ text: m.text }] })) };
+      if (system) body.systemInstruction = { parts: [{ text: system }] };
+
+      const response = await postJSON(url, body, { signal });
+      let blocked = false;
+      await readSSE(response, (data) => {
+        const candidate = data.candidates && data.candidates[0];
+        const text = ((candidate && candidate.content && candidate.content.parts) || []).map((p) => p.text || '').join('');
+        if (text) { state.started = true; push(text); }
+        if (candidate && candidate.finishReason === 'SAFETY') blocked = true;
+      });
+      return { blocked };
+    },
+
+    async openai(active, { messages, system, signal }, push, state) {
+      const body = {
+        model: active.chatModel,
+        stream: true,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages.map((m) => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.text })),
+        ],
+      };
+      const headers = active.apiKey ? { Authorization: `Bearer ${active.apiKey}` } : {};
+      const response = await postJSON(`${active.baseUrl}/chat/completions`, body, { headers, signal });
+      let blocked = false;
+      await readSSE(response, (data) => {
+        const choice = data.choices && data.choices[0];
+        const text = choice && choice.delta && choice.delta.content;
+        if (text) { state.started = true; push(text); }
+        if (choice && choice.finish_reason === 'content_filter') blocked = true;
+      });
+      return { blocked };
+    },
+
+    async ollama(active, { messages, system, signal }, push, state) {
+      const body = {
+        model: active.chatModel,
+        stream: true,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages.map((m) => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.text })),
+        ],
+      };
+      const response = await postJSON(`${active.baseUrl}/api/chat`, body, { signal });
+      await readLines(response, (line) => {
+        const data = JSON.parse(line);
+        if (data.error) throw providerError(data.error);
+        const text = data.message && data.message.content;
+        if (text) { state.started = true; push(text); }
+      });
+      return { blocked: false };
+    },
+
+    async mock(active, { messages, signal }, push, state) {
+      const last = [...messages].reverse().find((m) => m.role === 'user');
+      const reply = [
+        `**Mock 응답**입니다. 방금 보낸 메시지:\n\n> ${last ? last.text : ''}\n\n`,
+        '- 네트워크 요청 없이 만들어진 답변이에요.\n',
+        `- 지금까지 대화 ${messages.length}개를 받았어요.\n\n`,
+        '```js\nconsole.log("달빛 AI mock");\n```\n',
+      ].join('');
+      // 실제 스트리밍처럼 몇 글자씩 나눠 보냄
+      for (let i = 0; i < reply.length; i += 8) {
+        await sleep(15, signal);
+        state.started = true;
+        push(reply.slice(i, i + 8));
+      }
+      return { blocked: false };
+    },
+  };
+
+  /**
+   * 대화에 대한 답변을 스트리밍으로 받음
+   * @param {object} options
+   * @param {Array<{role: 'user'|'model', text: string}>} options.messages 대화 기록
+   * @param {string} [options.system] 시스템 지침
+   * @param {(text: string) => void} [options.onChunk] 새로 도착한 텍스트 조각
+   * @param {AbortSignal} [options.signal] 중지 신호
+   * @returns {Promise<string>} 전체 답변
+   */
+  async function chat({ messages, system = '', onChunk = () => {}, signal } = {}) {
+    const active = getActive();
+    ensureReady(active, 'chat');
+
+    return withRetry(async (state) => {
+      let received = '';
+      const push = (text) => { received += text; onChunk(text); };
+      const { blocked } = await chatAdapters[active.id](active, { messages, system, signal }, push, state);
+
+      if (!received && blocked) {
+        // 안전 필터에 걸린 경우
+        const notice = '죄송합니다. 요청하신 내용은 안전 정책으로 인해 생성할 수 없습니다.';
+        push(notice);
+        return notice;
+      }
+      if (!received) throw providerError('응답에서 유효한 텍스트를 찾을 수 없습니다.');
+      return received;
+    }, { signal });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 이미지 생성
+  // ---------------------------------------------------------------------------
+
+  // OpenAI 이미지 API 가 받는 크기로 비율을 근사
+  const OPENAI_SIZES = { '1:1': '1024x1024', '16:9': '1536x1024', '4:3': '1536x1024', '9:16': '1024x1536', '3:4': '1024x1536' };
+
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+  }
+
+  // "data:image/png;base64,...." → { mimeType, data }
+  function splitDataUrl(dataUrl) {
+    const match = /^data:([^;,]+)(;base64)?,(.*)$/.exec(dataUrl || '');
+    if (!match) throw providerError('참조 이미지는 data URL 이어야 합니다.');
+    return { mimeType: match[1], data: match[2] ? match[3] : btoa(decodeURIComponent(match[3])) };
+  }
+
+  // 네거티브 프롬프트를 따로 받지 않는 API 용
+  const withNegative = (prompt, negativePrompt) => (negativePrompt ? `${prompt}\n\nAvoid: ${negativePrompt}` : prompt);
+
+  const imageAdapters = {
+    async gemini(active, { prompt, negativePrompt, seed, referenceImage, aspectRatio, count, signal }) {
+      const key = encodeURIComponent(active.apiKey);
+
+      if (referenceImage) {
+        // 편집/변형은 이미지 입력을 받는 Gemini 이미지 모델의 generateContent 사용 (한 번에 한 장)
+        const { mimeType, data } = splitDataUrl(referenceImage);
+        const images = [];
+        for (let i = 0; i < count; i++) {
+          const response = await postJSON(`${active.baseUrl}/models/${active.editModel}:generateContent?key=${key}`, {
+            contents: [{ parts: [{ inlineData: { mimeType, data } }, { text: withNegative(prompt, negativePrompt) }] }],
+            generationConfig: { responseModalities: ['TEXT', 'IMAGE'], ...(seed !== undefined ? { seed: seed + i } : {}) },
+          }, { signal });
+          const result = await response.json();
+          const parts = (result.candidates && result.candidates[0] && result.candidates[0].content && result.candidates[0].content.parts) || [];
+          parts.filter((p) => p.inlineData).forEach((p) => images.push(`data:${p.inlineData.mimeType};base64,${p.inlineData.data}`));
+        }
+        return images;
+      }
+
+      const parameters = { sampleCount: count, aspectRatio };
+      if (negativePrompt) parameters.negativePrompt = negativePrompt;
+      // seed 는 워터마크를 끈 경우에만 적용됩니다 (지원하지 않는 엔드포인트에서는 오류가 날 수 있음)
+      if (seed !== undefined) Object.assign(parameters, { seed, addWatermark: false });
+      const response = await postJSON(`${active.baseUrl}/models/${active.imageModel}:predict?key=${key}`, {
+        instances: [{ prompt }],
+        parameters,
+      }, { signal });
+      const data = await response.json();
+      return (data.predictions || []).map((p) => `data:${p.mimeType || 'image/png'};base64,${p.bytesBase64Encoded}`);
+    },
+
+    async openai(active, { prompt, negativePrompt, referenceImage, aspectRatio, count, signal }) {
+      // OpenAI 이미지 API 에는 seed 가 없어 무시합니다.
+      const headers = active.apiKey ? { Authorization: `Bearer ${active.apiKey}` } : {};
+      const size = OPENAI_SIZES[aspectRatio] || '1024x1024';
+      let response;
+
+      if (referenceImage) {
+        // 편집은 multipart/form-data 로 보냄
+        const form = new FormData();
+        form.append('model', active.imageModel);
+        form.append('prompt', withNegative(prompt, negativePrompt));
+        form.append('n', String(count));
+        form.append('size', size);
+        form.append('image', await (await fetch(referenceImage)).blob(), 'reference.png');
+        response = await fetch(`${active.baseUrl}/images/edits`, { method: 'POST', headers, body: form, signal });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw providerError(`HTTP ${response.status} - ${(data.error && data.error.message) || response.statusText}`, {
+            status: response.status,
+            retryable: response.status === 429 || response.status >= 500,
+          });
+        }
+      } else {
+        response = await postJSON(`${active.baseUrl}/images/generations`, {
+          model: active.imageModel,
+          prompt: withNegative(prompt, negativePrompt),
+          n: count,
+          size,
+          response_format: 'b64_json',
+        }, { headers, signal });
+      }
+      const data = await response.json();
+      return (data.data || []).map((d) => (d.b64_json ? `data:image/png;base64,${d.b64_json}` : d.url));
+    },
+
+    async mock(active, { prompt, negativePrompt, seed, referenceImage, aspectRatio, count, signal }) {
+      await sleep(400, signal);
+      const [w, h] = aspectRatio.split(':').map(Number);
+      const width = 512;
+      const height = Math.round((512 * h) / w);
+      return Array.from({ length: count }, (_, i) => {
+        // 같은 seed 면 같은 그림이 나오도록 색을 seed 로 정함
+        const hue = ((seed !== undefined ? seed : prompt.length * 37) + i * 67) % 360;
+        const info = [`mock #${i + 1}`, aspectRatio, seed !== undefined ? `seed ${seed + i}` : '', negativePrompt ? `-${negativePrompt}` : '']
+          .filter(Boolean).join(' · ');
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+          `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="hsl(${hue},70%,55%)"/>` +
+          `<stop offset="1" stop-color="hsl(${(hue + 120) % 360},70%,25%)"/></linearGradient></defs>` +
+          `<rect width="100%" height="100%" fill="url(#g)"/>` +
+          (referenceImage ? `<image href="${escapeXml(referenceImage)}" width="100%" height="100%" opacity="0.45" preserveAspectRatio="xMidYMid slice"/>` : '') +
+          `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="20" text-anchor="middle">${escapeXml(prompt.slice(0, 40))}</text>` +
+          `<text x="50%" y="58%" fill="#fff" opacity="0.7" font-family="monospace" font-size="14" text-anchor="middle">${escapeXml(info)}</text></svg>`;
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+      });
+    },
+  };
+
+  /**
+   * 프롬프트로 이미지 생성
+   * @param {object} options
+   * @param {string} options.prompt 프롬프트
+   * @param {string} [options.negativePrompt] 피하고 싶은 요소
+   * @param {number} [options.seed] 재현용 seed (여러 장이면 seed, seed+1, ...)
+   * @param {string} [options.referenceImage] 편집/변형할 참조 이미지 (data URL)
+   * @param {string} [options.aspectRatio='1:1'] 화면 비율
+   * @param {number} [options.count=1] 생성할 장 수
+   * @param {AbortSignal} [options.signal] 중지 신호
+   * @returns {Promise<string[]>} 이미지 data URL 목록
+   */
+  async function generateImage({ prompt, negativePrompt = '', seed, referenceImage = null, aspectRatio = '1:1', count = 1, signal } = {}) {
+    const active = getActive();
+    ensureReady(active, 'image');
+    const options = { prompt, negativePrompt, seed: Number.isInteger(seed) ? seed : undefined, referenceImage, aspectRatio, count, signal };
+
+    return withRetry(async () => {
+      const images = await imageAdapters[active.id](active, options);
+      if (!images.length) throw providerError('응답에 이미지가 없습니다. 안전 정책에 걸렸을 수 있습니다.');
+      return images;
+    }, { signal });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 설정 대화상자
+  // ---------------------------------------------------------------------------
+
+  const DIALOG_STYLE = `
+    .mai-dialog { border: 1px solid #334155; border-radius: 16px; padding: 0; background: #0f172a; color: #e2e8f0; width: min(440px, 92vw); font: 14px/1.5 system-ui, sans-serif; }
+    .mai-dialog::backdrop { background: rgba(2, 6, 23, 0.75); }
+    .mai-dialog form { padding: 20px; display: grid; gap: 12px; }
+    .mai-dialog h2 { margin: 0; font-size: 1.1rem; color: #fff; }
+    .mai-dialog label { display: grid; gap: 4px; font-size: 0.8rem; color: #94a3b8; }
+    .mai-dialog input, .mai-dialog select { padding: 8px 10px; border-radius: 8px; border: 1px solid #334155; background: #1e293b; color: #fff; font: inherit; }
+    .mai-dialog .mai-help { font-size: 0.75rem; color: #64748b; margin: 0; }
+    .mai-dialog .mai-actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 4px; }
+    .mai-dialog button { padding: 8px 14px; border-radius: 8px; border: 1px solid #334155; background: #1e293b; color: #e2e8f0; font: inherit; cursor: pointer; }
+    .mai-dialog button.mai-primary { background: #6366f1; border-color: #6366f1; color: #fff; }
+  `;
+
+  /**
+   * 제공자/키/모델을 고르는 설정 대화상자를 띄움
+   * @param {object} [options]
+   * @param {'chat'|'image'} [options.kind='chat'] 이 페이지가 쓰는 기능 (지원하지 않는 제공자는 비활성화)
+   * @returns {Promise<boolean>} 저장했으면 true
+   */
+  function openSettings({ kind = 'chat' } = {}) {
+    if (!document.getElementById('mai-style')) {
+      const style = document.createElement('style');
+      style.id = 'mai-style';
+      style.textContent = DIALOG_STYLE;
+      document.head.appendChild(style);
+    }
+
+    const settings = loadSettings();
+    const dialog = document.createElement('dialog');
+    dialog.className = 'mai-dialog';
+    dialog.innerHTML = `
+      <form method="dialog">
+        <h2>AI 제공자 설정</h2>
+        <label>제공자
+          <select name="provider">${Object.keys(PROVIDERS).map((id) =>
+            `<option value="${id}" ${PROVIDERS[id].supports[kind] ? '' : 'disabled'}>${PROVIDERS[id].label}${PROVIDERS[id].supports[kind] ? '' : ' (지원 안 함)'}</option>`).join('')}
+          </select>
+        </label>
+        <label>API 키
+          <input name="apiKey" type="password" autocomplete="off" spellcheck="false">
+        </label>
+        <p class="mai-help" data-role="key-help"></p>
+        <label>엔드포인트 주소
+          <input name="baseUrl" type="url" spellcheck="false">
+        </label>
+        <label>${kind === 'image' ? '이미지 모델' : '채팅 모델'}
+          <input name="model" spellcheck="false">
+        </label>
+        <p class="mai-help">키는 이 브라우저(localStorage)에만 저장되며 선택한 엔드포인트로만 전송됩니다.</p>
+        <div class="mai-actions">
+          <button value="cancel">취소</button>
+          <button value="save" class="mai-primary">저장</button>
+        </div>
+      </form>`;
+
+    document.body.appendChild(dialog);
+    const form = dialog.querySelector('form');
+    const { provider, apiKey, baseUrl, model } = form.elements;
+    const modelField = kind === 'image' ? 'imageModel' : 'chatModel';
+    let current = PROVIDERS[settings.provider].supports[kind]
+      ? settings.provider
+      : Object.keys(PROVIDERS).find((id) => PROVIDERS[id].supports[kind]);
+
+    // 제공자를 바꿔도 입력 중인 값은 제공자별로 보관
+    const readFields = () => {
+      Object.assign(settings.providers[current], {
+        apiKey: apiKey.value.trim(),
+        baseUrl: baseUrl.value.trim() || PROVIDERS[current].baseUrl,
+        [modelField]: model.value.trim() || PROVIDERS[current][modelField],
+      });
+    };
+    const fillFields = () => {
+      const config = settings.providers[current];
+      provider.value = current;
+      apiKey.value = config.apiKey;
+      apiKey.disabled = !PROVIDERS[current].needsKey;
+      baseUrl.value = config.baseUrl;
+      baseUrl.disabled = current === 'mock';
+      model.value = config[modelField];
+      dialog.querySelector('[data-role="key-help"]').textContent = PROVIDERS[current].keyHelp;
+    };
+    provider.addEventListener('change', () => {
+      readFields();
+      current = provider.value;
+      fillFields();
+    });
+    fillFields();
+
+    return new Promise((resolve) => {
+      dialog.addEventListener('close', () => {
+        const saved = dialog.returnValue === 'save';
+        if (saved) {
+          readFields();
+          settings.provider = current;
+          saveSettings(settings);
+        }
+        dialog.remove();
+        resolve(saved);
+      });
+      dialog.showModal();
+    });
+  }
+
+  const api = {
+    PROVIDERS,
+    loadSettings,
+    saveSettings,
+    getActive,
+    describe,
+    chat,
+    generateImage,
+    openSettings,
+    on,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    global.MoonlightAI = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
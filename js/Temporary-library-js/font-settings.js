@@ -0,0 +1,368 @@
+/*!
+ * MoonlightFonts - FontKitJS(font.js) 위에서 동작하는 달빛도구 공통 글꼴 설정.
+ * Supports:
+ *  - 한국어 글꼴 세트 선택 (페이지 기본 / 시스템 / Pretendard / Noto Sans KR / 고운돋움 / 고운바탕 / 나눔명조)
+ *  - 글꼴 크기, 굵기(가변 글꼴은 wght 축), 줄 간격을 localStorage 에 저장해 모든 페이지에 적용
+ *  - 글꼴이 준비될 때까지(FontLoader.waitFor, 시간 제한) 대체 글꼴로 표시하다가 교체
+ *  - 설정 대화상자, 선택적으로 화면 구석의 "가" 버튼 (script 태그에 data-font-button)
+ *  - 다른 탭에서 바꾼 설정도 바로 반영 (storage 이벤트)
+ *
+ * font.js 를 먼저 불러와야 합니다. (make/ 아래 페이지 기준)
+ *  <script src="../js/Temporary-library-js/font.js"></script>
+ *  <script src="../js/Temporary-library-js/font-settings.js" data-font-button></script>
+ *
+ * Usage example:
+ *  MoonlightFonts.openSettings();
+ *  MoonlightFonts.save({ fontSet: 'pretendard', size: 17, weight: 500, lineHeight: 1.7 });
+ *  MoonlightFonts.on('status', ({ fontSet, status }) => console.log(fontSet, status)); // loading | ready | timeout
+ */
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'moonlight_font_prefs_v1';
+  const LOAD_TIMEOUT = 4000;
+  const DEFAULTS = { fontSet: 'page', size: 16, weight: 400, lineHeight: 1.6 };
+  const LIMITS = { size: [12, 24], weight: [100, 900], lineHeight: [1.2, 2.2] };
+
+  const SANS_FALLBACK = ['Apple SD Gothic Neo', 'Malgun Gothic', 'system-ui', 'sans-serif'];
+  const SERIF_FALLBACK = ['AppleMyungjo', 'Batang', 'serif'];
+  const GOOGLE_FONTS = 'https://fonts.googleapis.com/css2?display=swap&family=';
+
+  // src 가 있으면 FontManager.loadFont(FontFace), stylesheet 가 있으면 CSS 를 넣고 FontLoader.waitFor 로 준비를 확인
+  const FONT_SETS = [
+    { id: 'page', label: '페이지 기본' },
+    { id: 'system', label: '시스템 글꼴', family: 'system-ui', fallback: SANS_FALLBACK.slice(0, 2).concat('sans-serif') },
+    {
+      id: 'pretendard',
+      label: 'Pretendard',
+      family: 'Pretendard Variable',
+      variable: true,
+      src: [{ url: 'https://cdn.jsdelivr.net/gh/orioncactus/pretendard@v1.3.9/dist/web/variable/woff2/PretendardVariable.woff2', format: 'woff2' }],
+      descriptors: { weight: '45 920' },
+      fallback: SANS_FALLBACK,
+    },
+    { id: 'noto-sans-kr', label: 'Noto Sans KR', family: 'Noto Sans KR', variable: true, stylesheet: `${GOOGLE_FONTS}Noto+Sans+KR:wght@100..900`, fallback: SANS_FALLBACK },
+    { id: 'gowun-dodum', label: '고운돋움', family: 'Gowun Dodum', stylesheet: `${GOOGLE_FONTS}Gowun+Dodum`, fallback: SANS_FALLBACK },
+    { id: 'gowun-batang', label: '고운바탕', family: 'Gowun Batang', stylesheet: `${GOOGLE_FONTS}Gowun+Batang:wght@400;700`, fallback: SERIF_FALLBACK },
+    { id: 'nanum-myeongjo', label: '나눔명조', family: 'Nanum Myeongjo', stylesheet: `${GOOGLE_FONTS}Nanum+Myeongjo:wght@400;700;800`, fallback: SERIF_FALLBACK },
+  ];
+
+  const BODY_PROPS = ['fontFamily', 'fontSize', 'fontWeight', 'fontStretch', 'fontStyle', 'fontVariationSettings', 'fontFeatureSettings', 'lineHeight'];
+
+  const script = global.document && document.currentScript;
+  const wantsButton = !!(script && script.hasAttribute('data-font-button'));
+
+  const listeners = {};
+  function on(type, fn) {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => { listeners[type] = listeners[type].filter((f) => f !== fn); };
+  }
+  function emit(type, payload) {
+    (listeners[type] || []).forEach((fn) => {
+      try { fn(payload); } catch (e) { console.error(e); }
+    });
+  }
+
+  const clamp = (v, [min, max]) => Math.min(Math.max(v, min), max);
+  const getSet = (id) => FONT_SETS.find((set) => set.id === id) || FONT_SETS[0];
+
+  let manager = null;
+  const getManager = () => {
+    if (!manager) manager = new global.FontKitJS.FontManager({ timeout: LOAD_TIMEOUT, defaultLanguage: 'ko' });
+    return manager;
+  };
+
+  // ---------------------------------------------------------------------------
+  // 설정 저장/불러오기
+  // ---------------------------------------------------------------------------
+
+  function normalize(prefs) {
+    const p = Object.assign({}, DEFAULTS, prefs);
+    return {
+      fontSet: getSet(p.fontSet).id,
+      size: clamp(Number(p.size) || DEFAULTS.size, LIMITS.size),
+      weight: Math.round(clamp(Number(p.weight) || DEFAULTS.weight, LIMITS.weight)),
+      lineHeight: Math.round(clamp(Number(p.lineHeight) || DEFAULTS.lineHeight, LIMITS.lineHeight) * 100) / 100,
+    };
+  }
+
+  function load() {
+    try {
+      return normalize(JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+    } catch (e) {
+      return normalize({});
+    }
+  }
+
+  function save(prefs) {
+    const normalized = normalize(prefs);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+    emit('change', normalized);
+    apply(normalized);
+    return normalized;
+  }
+
+  function reset() {
+    localStorage.removeItem(STORAGE_KEY);
+    const prefs = normalize({});
+    emit('change', prefs);
+    apply(prefs);
+    return prefs;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 글꼴 불러오기
+  // ---------------------------------------------------------------------------
+
+  const loading = new Map(); // set id -> Promise<boolean>
+
+  function injectStylesheet(href) {
+    if (document.querySelector(`link[data-moonlight-font="${href}"]`)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    link.setAttribute('data-moonlight-font', href);
+    document.head.appendChild(link);
+  }
+
+  /**
+   * 글꼴 세트를 불러오고 실제로 그려질 준비가 됐는지 확인
+   * @returns {Promise<boolean>} 시간 안에 준비되면 true
+   */
+  function loadSet(set, weight = DEFAULTS.weight) {
+    if (!set.src && !set.stylesheet) return Promise.resolve(true);
+    if (!loading.has(set.id)) {
+      const fm = getManager();
+      const task = set.src
+        ? fm.loadFont({ name: set.family, src: set.src, descriptors: set.descriptors, fallback: set.fallback }).then(({ ok }) => ok)
+        : Promise.resolve().then(() => {
+          injectStylesheet(set.stylesheet);
+          // Google Fonts 는 쓰이는 글자만 받아 오므로, 한글이 든 탐침으로 실제 렌더링을 기다림
+          return fm.loader.waitFor(set.family, undefined, { fontWeight: String(set.variable ? weight : 400) });
+        });
+      loading.set(set.id, task.catch((e) => {
+        console.warn('[MoonlightFonts] 글꼴을 불러오지 못했습니다', set.label, e);
+        return false;
+      }).then((ok) => {
+        // 시간 초과면 다음 적용 때 다시 시도
+        if (!ok) loading.delete(set.id);
+        return ok;
+      }));
+    }
+    return loading.get(set.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // 적용
+  // ---------------------------------------------------------------------------
+
+  function styleFor(prefs, set, family = set.family, fallback = set.fallback) {
+    return {
+      family,
+      fallback,
+      size: prefs.size,
+      weight: prefs.weight,
+      lineHeight: prefs.lineHeight,
+      axes: set.variable ? { wght: prefs.weight } : undefined,
+    };
+  }
+
+  function clearStyle() {
+    BODY_PROPS.forEach((prop) => { document.body.style[prop] = ''; });
+    document.documentElement.style.fontSize = '';
+  }
+
+  let applyToken = 0;
+
+  /**
+   * 설정을 현재 페이지에 적용. 글꼴이 준비되기 전까지는 대체 글꼴로 표시하고, 준비되면 교체
+   * @returns {Promise<'page'|'ready'|'timeout'>}
+   */
+  async function apply(prefs = load()) {
+    if (!document.body) {
+      await new Promise((resolve) => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+    }
+    const token = ++applyToken;
+    const set = getSet(prefs.fontSet);
+    if (set.id === 'page') {
+      clearStyle();
+      document.documentElement.removeAttribute('data-font-set');
+      emit('status', { fontSet: set.id, status: 'page' });
+      return 'page';
+    }
+
+    const fm = getManager();
+    // rem 단위로 크기를 정한 페이지(Tailwind 등)도 함께 커지도록 루트 크기도 맞춤
+    document.documentElement.style.fontSize = `${prefs.size}px`;
+    document.documentElement.setAttribute('data-font-set', set.id);
+    fm.applyToElement(document.body, styleFor(prefs, set, set.fallback[0], set.fallback.slice(1)));
+    emit('status', { fontSet: set.id, status: 'loading' });
+
+    const ok = await loadSet(set, prefs.weight);
+    if (token !== applyToken) return ok ? 'ready' : 'timeout'; // 그사이 다른 설정이 적용됨
+    if (ok) fm.applyToElement(document.body, styleFor(prefs, set));
+    const status = ok ? 'ready' : 'timeout';
+    emit('status', { fontSet: set.id, status });
+    return status;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 설정 대화상자
+  // ---------------------------------------------------------------------------
+
+  const DIALOG_STYLE = `
+    .mfs-dialog { border: 1px solid #334155; border-radius: 16px; padding: 0; background: #0f172a; color: #e2e8f0; width: min(440px, 92vw); font: 14px/1.5 system-ui, sans-serif; }
+    .mfs-dialog::backdrop { background: rgba(2, 6, 23, 0.75); }
+    .mfs-dialog form { padding: 20px; display: grid; gap: 12px; }
+    .mfs-dialog h2 { margin: 0; font-size: 1.1rem; color: #fff; }
+    .mfs-dialog label { display: grid; gap: 4px; font-size: 0.8rem; color: #94a3b8; }
+    .mfs-dialog label output { color: #e2e8f0; font-variant-numeric: tabular-nums; }
+    .mfs-dialog select { padding: 8px 10px; border-radius: 8px; border: 1px solid #334155; background: #1e293b; color: #fff; font: inherit; }
+    .mfs-dialog input[type="range"] { accent-color: #6366f1; }
+    .mfs-dialog .mfs-preview { margin: 0; padding: 12px; border-radius: 8px; background: #fff; color: #111; min-height: 4.5em; overflow: hidden; }
+    .mfs-dialog .mfs-help { font-size: 0.75rem; color: #64748b; margin: 0; }
+    .mfs-dialog .mfs-actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 4px; }
+    .mfs-dialog .mfs-actions .mfs-reset { margin-right: auto; }
+    .mfs-dialog button { padding: 8px 14px; border-radius: 8px; border: 1px solid #334155; background: #1e293b; color: #e2e8f0; font: inherit; cursor: pointer; }
+    .mfs-dialog button.mfs-primary { background: #6366f1; border-color: #6366f1; color: #fff; }
+    .mfs-button { position: fixed; left: 16px; bottom: 16px; z-index: 9999; width: 44px; height: 44px; border-radius: 50%; border: 1px solid rgba(148, 163, 184, 0.4); background: rgba(15, 23, 42, 0.8); color: #fff; font: 700 18px/1 system-ui, sans-serif; cursor: pointer; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25); }
+  `;
+
+  function ensureStyle() {
+    if (document.getElementById('mfs-style')) return;
+    const style = document.createElement('style');
+    style.id = 'mfs-style';
+    style.textContent = DIALOG_STYLE;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * 글꼴 세트/크기/굵기/줄 간격을 고르는 설정 대화상자를 띄움
+   * @returns {Promise<boolean>} 저장했으면 true
+   */
+  function openSettings() {
+    ensureStyle();
+    const prefs = load();
+    const dialog = document.createElement('dialog');
+    dialog.className = 'mfs-dialog';
+    dialog.innerHTML = `
+      <form method="dialog">
+        <h2>글꼴 설정</h2>
+        <label>글꼴
+          <select name="fontSet">${FONT_SETS.map((set) => `<option value="${set.id}">${set.label}</option>`).join('')}</select>
+        </label>
+        <label>크기 <output name="sizeOut"></output>
+          <input name="size" type="range" min="${LIMITS.size[0]}" max="${LIMITS.size[1]}" step="1">
+        </label>
+        <label>굵기 <output name="weightOut"></output>
+          <input name="weight" type="range" min="${LIMITS.weight[0]}" max="${LIMITS.weight[1]}" step="50">
+        </label>
+        <label>줄 간격 <output name="lineHeightOut"></output>
+          <input name="lineHeight" type="range" min="${LIMITS.lineHeight[0]}" max="${LIMITS.lineHeight[1]}" step="0.05">
+        </label>
+        <p class="mfs-preview" data-role="preview">다람쥐 헌 쳇바퀴에 타고파. 달빛 아래 키보드를 두드리며 1234567890</p>
+        <p class="mfs-help" data-role="help"></p>
+        <div class="mfs-actions">
+          <button value="reset" class="mfs-reset">기본값</button>
+          <button value="cancel">취소</button>
+          <button value="save" class="mfs-primary">저장</button>
+        </div>
+      </form>`;
+
+    document.body.appendChild(dialog);
+    const form = dialog.querySelector('form');
+    const { fontSet, size, weight, lineHeight, sizeOut, weightOut, lineHeightOut } = form.elements;
+    const preview = dialog.querySelector('[data-role="preview"]');
+    const help = dialog.querySelector('[data-role="help"]');
+
+    fontSet.value = prefs.fontSet;
+    size.value = prefs.size;
+    weight.value = prefs.weight;
+    lineHeight.value = prefs.lineHeight;
+
+    const read = () => normalize({ fontSet: fontSet.value, size: size.value, weight: weight.value, lineHeight: lineHeight.value });
+    const update = () => {
+      const current = read();
+      const set = getSet(current.fontSet);
+      const custom = set.id !== 'page';
+      [size, weight, lineHeight].forEach((input) => { input.disabled = !custom; });
+      sizeOut.value = `${current.size}px`;
+      weightOut.value = current.weight;
+      lineHeightOut.value = current.lineHeight.toFixed(2);
+      help.textContent = !custom
+        ? '각 페이지가 원래 지정한 글꼴을 그대로 씁니다.'
+        : set.variable
+          ? '가변 글꼴이라 굵기를 wght 축으로 세밀하게 조절합니다.'
+          : '고정 굵기 글꼴이라 가까운 굵기로 표시됩니다.';
+
+      BODY_PROPS.forEach((prop) => { preview.style[prop] = ''; });
+      if (!custom) return;
+      getManager().applyToElement(preview, styleFor(current, set));
+      loadSet(set, current.weight);
+    };
+    form.addEventListener('input', update);
+    update();
+
+    return new Promise((resolve) => {
+      dialog.addEventListener('close', () => {
+        const action = dialog.returnValue;
+        if (action === 'save') save(read());
+        if (action === 'reset') reset();
+        dialog.remove();
+        resolve(action === 'save' || action === 'reset');
+      });
+      dialog.showModal();
+    });
+  }
+
+  function mountButton() {
+    if (document.querySelector('.mfs-button')) return;
+    ensureStyle();
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'mfs-button';
+    button.title = '글꼴 설정';
+    button.textContent = '가';
+    button.addEventListener('click', openSettings);
+    document.body.appendChild(button);
+  }
+
+  // ---------------------------------------------------------------------------
+  // 시작
+  // ---------------------------------------------------------------------------
+
+  if (global.document && global.FontKitJS) {
+    apply();
+    if (wantsButton) {
+      if (document.body) mountButton();
+      else document.addEventListener('DOMContentLoaded', mountButton, { once: true });
+    }
+    global.addEventListener('storage', (e) => {
+      if (e.key !== STORAGE_KEY) return;
+      const prefs = load();
+      emit('change', prefs);
+      apply(prefs);
+    });
+  } else if (global.document) {
+    console.warn('[MoonlightFonts] font.js(FontKitJS) 를 먼저 불러와야 합니다.');
+  }
+
+  const api = {
+    FONT_SETS,
+    load,
+    save,
+    reset,
+    apply,
+    loadSet,
+    openSettings,
+    mountButton,
+    on,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    global.MoonlightFonts = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -13,7 +13,8 @@
  *
  * Limitations:
  *  - No complex script shaping (use HarfBuzz in native or browser WASM for full shaping)
- *  - Metrics approximations for baseline/ascender/descender use heuristic methods
+ *  - Metrics approximations for baseline/ascender/descender use heuristic methods unless the font binary
+ *    is parsed (parse: true / metricsUrl); WOFF2 needs a TTF/OTF/WOFF metricsUrl since Brotli is not bundled
  *  - Browser support relies on CSS FontFace and modern CSS properties
  *
  * Usage example:
@@ -28,6 +29,17 @@
  *    features: { liga: 1, kern: 1, ss01: 1 }
  *  });
  *  fm.applyToElement(document.querySelector('#title'), { family: 'Inter', size: 24, lineHeight: 1.3 });
+ *
+ *  // Real metrics and glyph coverage from the OpenType tables
+ *  await fm.loadFont({ name: 'Gowun Dodum', src: [{ url: '/fonts/GowunDodum.ttf', format: 'truetype' }], parse: true });
+ *  fm.getInfo('Gowun Dodum').scaledMetrics(16); // { ascent, descent, lineGap, lineHeight, ... }
+ *  fm.select({ languages: ['ko'], variable: false, text: '똠얌꿍' }); // skips fonts known to miss a glyph
+ *
+ *  // Wrapped / shrink-to-fit text on a canvas
+ *  const hud = { family: 'system-ui', size: 18, weight: 700, lineHeight: 1.3 };
+ *  fm.drawText(ctx, '오늘의 수확: 당근 12개', hud, { x: 20, y: 20, maxWidth: 200, maxLines: 1 });
+ *  const fitted = fm.fitText(longText, hud, { maxWidth: 300, maxHeight: 80, minSize: 10 });
+ *  fm.drawText(ctx, fitted, hud, { x: 160, y: 60, align: 'center', baseline: 'middle' });
  */
 
 (function (global) {
@@ -117,14 +129,19 @@
     return lines.join(' ');
   };
 
-  // Build @font-face css text for injection fallback
-  const buildFontFaceCSS = (name, srcList, descriptors) => {
-    const src = srcList
+  // Build the src list shared by FontFace and @font-face: url(...) format(...) or local(...)
+  const buildSrcString = (srcList) =>
+    srcList
       .map((s) => {
+        if (s.local) return `local("${s.local}")`;
         const fmt = s.format ? ` format("${s.format}")` : '';
         return `url("${s.url}")${fmt}`;
       })
       .join(', ');
+
+  // Build @font-face css text for injection fallback
+  const buildFontFaceCSS = (name, srcList, descriptors) => {
+    const src = buildSrcString(srcList);
     const d = descriptors || {};
     const props = [];
     if (d.style) props.push(`font-style: ${d.style};`);
@@ -140,12 +157,14 @@
    * FontDescriptor type:
    * {
    *   name: string
-   *   src: [{ url: string, format?: 'woff2'|'woff'|'truetype'|'opentype'|'embedded-opentype'|'svg' }]
+   *   src: [{ url: string, format?: 'woff2'|'woff'|'truetype'|'opentype'|'embedded-opentype'|'svg' } | { local: string }]
    *   descriptors?: { style?: string, weight?: string|number, stretch?: string|number, display?: 'auto'|'block'|'swap'|'fallback'|'optional', unicodeRange?: string }
    *   axes?: { wght?: number, wdth?: number, slnt?: number, ital?: number, opsz?: number, ... }
    *   features?: { liga?: 0|1, kern?:0|1, ss01?:0|1, cv01?: number, ... }
    *   fallback?: string[] // e.g. ['Apple SD Gothic Neo', 'Segoe UI', 'Noto Sans KR', 'sans-serif']
    *   languages?: string[] // tags like ['ko', 'en', 'ja']
+   *   parse?: boolean // fetch the binary and parse OpenType tables (metrics, names, axes, coverage)
+   *   metricsUrl?: string // binary to parse instead of src[0] (e.g. a TTF when src is WOFF2); implies parse
    * }
    */
 
@@ -233,28 +252,32 @@
       }
 
       // Build source string for FontFace constructor
-      const srcString = desc.src
-        .map((s) => {
-          const fmt = s.format ? ` format("${s.format}")` : '';
-          return `url("${s.url}")${fmt}`;
-        })
-        .join(', ');
+      const srcString = buildSrcString(desc.src);
 
       const { style = 'normal', weight = 'normal', stretch = 'normal', display, unicodeRange } =
         desc.descriptors || {};
 
-      const fontFace = new FontFace(desc.name, srcString, {
-        style,
-        weight,
-        stretch,
-        display,
-        unicodeRange,
+      // FontFace has no cancel(), so the timeout races the load instead of aborting it
+      let timer = null;
+      const timeout = new Promise((_, reject) => {
+        if (!this.timeout) return;
+        timer = setTimeout(() => {
+          const err = new Error(`Font load timed out after ${this.timeout}ms: ${desc.name}`);
+          err.timeout = true;
+          reject(err);
+        }, this.timeout);
       });
 
-      const timer = this.timeout ? setTimeout(() => fontFace.cancel && fontFace.cancel(), this.timeout) : null;
-
       try {
-        const loaded = await fontFace.load();
+        // The constructor throws synchronously on malformed descriptors; treat that like a failed load
+        const fontFace = new FontFace(desc.name, srcString, {
+          style,
+          weight,
+          stretch,
+          display,
+          unicodeRange,
+        });
+        const loaded = await Promise.race([fontFace.load(), timeout]);
         if (timer) clearTimeout(timer);
         document.fonts.add(loaded);
         return { status: 'loaded', font: loaded };
@@ -263,7 +286,7 @@
         // Inject @font-face as a last resort
         const css = buildFontFaceCSS(desc.name, desc.src, desc.descriptors);
         this.injector.inject(css);
-        return { status: 'failed', error: e, font: null };
+        return { status: 'failed', error: e, timedOut: !!e.timeout, font: null };
       }
     }
 
@@ -418,6 +441,531 @@
     }
   }
 
+  /**
+   * Text layout: line breaking, shrink-to-fit, grapheme-safe ellipsis and canvas drawing.
+   *
+   * Break opportunities come from Intl.Segmenter (word granularity) when available.
+   * wordBreak 'keep-all' (default, like CSS word-break: keep-all) keeps Hangul words whole;
+   * 'normal' also allows breaks between Hangul syllables. Words wider than the box are split on graphemes,
+   * and closing punctuation is kept with the preceding word so it never starts a line.
+   */
+  const HANGUL_RE = /[ᄀ-ᇿ㄰-㆏가-힯]/;
+  const NO_LINE_START_RE = /^[\s.,!?;:%)\]}、。，．！？）」』〉》】…·~]+$/;
+
+  class TextLayout {
+    /**
+     * @param {FontMetrics} metrics shared measuring canvas
+     */
+    constructor(metrics) {
+      this.metrics = metrics;
+      this.segmenters = new Map(); // locale -> Intl.Segmenter
+    }
+
+    // Canvas font shorthand for a style; family may be a pre-composed fallback chain
+    font(style, family = cssEscape(style.family)) {
+      const { size = 16, weight, style: fontStyle } = style;
+      return `${fontStyle || 'normal'} ${isString(weight) || isNumber(weight) ? weight : 'normal'} ${toPx(size)} ${family}`;
+    }
+
+    width(text, font) {
+      const ctx = this.metrics.ctx;
+      ctx.font = font;
+      return ctx.measureText(text).width;
+    }
+
+    // Split a paragraph into unbreakable units (word + trailing spaces/punctuation)
+    units(text, { locale = 'ko', wordBreak = 'keep-all' } = {}) {
+      let pieces;
+      if (global.Intl && Intl.Segmenter) {
+        if (!this.segmenters.has(locale)) this.segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+        pieces = Array.from(this.segmenters.get(locale).segment(text), (s) => s.segment);
+      } else {
+        pieces = text.split(/(\s+)/).filter(Boolean);
+      }
+
+      const units = [];
+      for (const piece of pieces) {
+        if (units.length && NO_LINE_START_RE.test(piece)) {
+          units[units.length - 1] += piece;
+        } else if (wordBreak === 'normal' && HANGUL_RE.test(piece)) {
+          units.push(...splitGraphemes(piece));
+        } else {
+          units.push(piece);
+        }
+      }
+      return units;
+    }
+
+    /**
+     * Wrap text to maxWidth. lineHeight may be px or a function of the (resized) style.
+     * @returns {{ lines: {text: string, width: number}[], width: number, height: number, lineHeight: number, font: string, truncated: boolean, brokeWord: boolean }}
+     */
+    layout(text, style, { maxWidth = Infinity, maxLines = Infinity, ellipsis = '…', lineHeight, family, locale, wordBreak } = {}) {
+      const font = this.font(style, family);
+      const lh = typeof lineHeight === 'function' ? lineHeight(style) : lineHeight || this.metrics.estimateLineHeight(style);
+      const measure = (t) => this.width(t, font);
+      const lines = [];
+      let brokeWord = false;
+
+      const pushLine = (t) => {
+        const trimmed = t.replace(/\s+$/, '');
+        lines.push({ text: trimmed, width: measure(trimmed) });
+      };
+
+      const paragraphs = String(text == null ? '' : text).split(/\r?\n/);
+      for (const paragraph of paragraphs) {
+        let line = '';
+        for (const unit of this.units(paragraph, { locale, wordBreak })) {
+          const candidate = line + unit;
+          if (measure(candidate.replace(/\s+$/, '')) <= maxWidth) {
+            line = candidate;
+            continue;
+          }
+          if (line) pushLine(line);
+          line = line ? unit.replace(/^\s+/, '') : unit;
+          if (measure(line.replace(/\s+$/, '')) <= maxWidth) continue;
+
+          // Unit alone is wider than the box: break it on graphemes
+          brokeWord = true;
+          let part = '';
+          for (const g of splitGraphemes(line)) {
+            if (part && measure(part + g) > maxWidth) {
+              pushLine(part);
+              part = '';
+            }
+            part += g;
+          }
+          line = part;
+        }
+        pushLine(line);
+      }
+
+      let truncated = false;
+      if (lines.length > maxLines) {
+        truncated = true;
+        const rest = lines.slice(maxLines - 1).map((l) => l.text).join(' ');
+        lines.length = Math.max(0, maxLines - 1);
+        if (maxLines > 0) {
+          const last = this.truncate(rest, style, maxWidth, { ellipsis, family, force: true });
+          lines.push({ text: last, width: measure(last) });
+        }
+      }
+
+      const width = lines.reduce((max, l) => Math.max(max, l.width), 0);
+      return { lines, width, height: lines.length * lh, lineHeight: lh, font, truncated, brokeWord };
+    }
+
+    /**
+     * Cut text to maxWidth on grapheme boundaries, appending ellipsis when anything was removed.
+     * `force` appends the ellipsis even when the text fits (used for the last of maxLines).
+     */
+    truncate(text, style, maxWidth, { ellipsis = '…', family, force = false } = {}) {
+      const font = this.font(style, family);
+      const str = String(text == null ? '' : text);
+      if (!force && this.width(str, font) <= maxWidth) return str;
+
+      const graphemes = splitGraphemes(str);
+      const fits = (n) => this.width(graphemes.slice(0, n).join('').replace(/\s+$/, '') + ellipsis, font) <= maxWidth;
+      if (force && fits(graphemes.length)) return str.replace(/\s+$/, '') + ellipsis;
+      if (!fits(0)) return '';
+
+      let lo = 0;
+      let hi = graphemes.length;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (fits(mid)) lo = mid;
+        else hi = mid - 1;
+      }
+      return graphemes.slice(0, lo).join('').replace(/\s+$/, '') + ellipsis;
+    }
+
+    /**
+     * Largest font size (between minSize and style.size) whose layout fits the box without splitting words.
+     * If nothing fits, returns the minSize layout cut to the lines that fit, with an ellipsis.
+     */
+    fit(text, style, { maxWidth, maxHeight = Infinity, minSize = 8, precision = 0.5, ...options } = {}) {
+      const maxSize = toUnitless(style.size || 16);
+      const at = (size, extra) => this.layout(text, Object.assign({}, style, { size }), Object.assign({ maxWidth }, options, extra));
+      const ok = (l) => l.height <= maxHeight && !l.brokeWord && !l.truncated;
+
+      let best = at(maxSize);
+      if (ok(best)) return Object.assign(best, { size: maxSize, fits: true });
+
+      let lo = minSize;
+      let hi = maxSize;
+      best = null;
+      while (hi - lo > precision) {
+        const mid = (lo + hi) / 2;
+        const l = at(mid);
+        if (ok(l)) {
+          best = Object.assign(l, { size: mid });
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      if (!best) {
+        const l = at(minSize);
+        if (ok(l)) return Object.assign(l, { size: minSize, fits: true });
+        const maxLines = Math.max(1, Math.floor(maxHeight / l.lineHeight));
+        return Object.assign(at(minSize, { maxLines }), { size: minSize, fits: false });
+      }
+      return Object.assign(best, { fits: true });
+    }
+
+    /**
+     * Draw text (or a layout from layout()/fit()) onto a 2D context.
+     * x follows textAlign (left edge / center / right edge); y is the top, middle or bottom of the block per `baseline`.
+     */
+    draw(ctx, textOrLayout, style, { x = 0, y = 0, align = 'left', baseline = 'top', color, stroke, ...options } = {}) {
+      const layout = isString(textOrLayout) ? this.layout(textOrLayout, style, options) : textOrLayout;
+      const top = baseline === 'middle' ? y - layout.height / 2 : baseline === 'bottom' ? y - layout.height : y;
+
+      ctx.save();
+      ctx.font = layout.font;
+      ctx.textAlign = align;
+      ctx.textBaseline = 'middle';
+      if (color || style.color) ctx.fillStyle = color || style.color;
+      layout.lines.forEach((line, i) => {
+        const lineY = top + i * layout.lineHeight + layout.lineHeight / 2;
+        if (stroke) {
+          ctx.strokeStyle = stroke.color || '#000';
+          ctx.lineWidth = stroke.width || 3;
+          ctx.lineJoin = 'round';
+          ctx.strokeText(line.text, x, lineY);
+        }
+        ctx.fillText(line.text, x, lineY);
+      });
+      ctx.restore();
+      return layout;
+    }
+  }
+
+  /**
+   * OpenType table parser (optional)
+   *
+   * Reads the font binary itself so metrics do not depend on canvas pixel scans:
+   *  - head: unitsPerEm
+   *  - hhea / OS/2: ascender, descender, lineGap (OS/2 typo metrics when USE_TYPO_METRICS is set)
+   *  - name: family/subfamily/full/PostScript names
+   *  - fvar: variable axes and named instances
+   *  - cmap: code point coverage (formats 4 and 12)
+   *
+   * Accepts TTF/OTF, the first face of a TTC, and WOFF (zlib via DecompressionStream).
+   * WOFF2 is Brotli-compressed and is rejected; point `metricsUrl` at a TTF/OTF/WOFF build instead.
+   */
+  const tagAt = (view, offset) =>
+    String.fromCharCode(view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+  const fixedAt = (view, offset) => view.getInt32(offset) / 65536;
+
+  async function inflate(bytes) {
+    if (!global.DecompressionStream) throw new Error('WOFF parsing needs DecompressionStream');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Returns { tag: DataView } for the tables we read
+  async function readTables(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const signature = tagAt(view, 0);
+    const tables = {};
+
+    if (signature === 'wOF2') {
+      throw new Error('WOFF2 fonts cannot be parsed without a Brotli decoder; use a TTF/OTF/WOFF metricsUrl');
+    }
+
+    if (signature === 'wOFF') {
+      const numTables = view.getUint16(12);
+      for (let i = 0; i < numTables; i++) {
+        const rec = 44 + i * 20;
+        const tag = tagAt(view, rec);
+        const offset = view.getUint32(rec + 4);
+        const compLength = view.getUint32(rec + 8);
+        const origLength = view.getUint32(rec + 12);
+        let data = bytes.subarray(offset, offset + compLength);
+        if (compLength < origLength) data = await inflate(data);
+        tables[tag] = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      }
+      return tables;
+    }
+
+    // Font collection: read the first face
+    const start = signature === 'ttcf' ? view.getUint32(12) : 0;
+    const version = view.getUint32(start);
+    if (version !== 0x00010000 && tagAt(view, start) !== 'OTTO' && tagAt(view, start) !== 'true') {
+      throw new Error('Unknown font format');
+    }
+    const numTables = view.getUint16(start + 4);
+    for (let i = 0; i < numTables; i++) {
+      const rec = start + 12 + i * 16;
+      const offset = view.getUint32(rec + 8);
+      const length = view.getUint32(rec + 12);
+      tables[tagAt(view, rec)] = new DataView(bytes.buffer, bytes.byteOffset + offset, length);
+    }
+    return tables;
+  }
+
+  function parseNameTable(view, language) {
+    const names = {};
+    if (!view) return names;
+    const count = view.getUint16(2);
+    const storage = view.getUint16(4);
+    const langIds = { en: 0x0409, ko: 0x0412, ja: 0x0411, zh: 0x0804 };
+    const wanted = langIds[language] || 0x0409;
+    const rank = {}; // nameID -> best rank so far (lower is better)
+
+    for (let i = 0; i < count; i++) {
+      const rec = 6 + i * 12;
+      const platform = view.getUint16(rec);
+      const encoding = view.getUint16(rec + 2);
+      const lang = view.getUint16(rec + 4);
+      const nameID = view.getUint16(rec + 6);
+      const length = view.getUint16(rec + 8);
+      const offset = storage + view.getUint16(rec + 10);
+
+      let value;
+      let score;
+      if (platform === 3 && (encoding === 1 || encoding === 10)) {
+        value = '';
+        for (let j = 0; j + 1 < length; j += 2) value += String.fromCharCode(view.getUint16(offset + j));
+        score = lang === wanted ? 0 : lang === 0x0409 ? 1 : 2;
+      } else if (platform === 1 && encoding === 0) {
+        value = '';
+        for (let j = 0; j < length; j++) value += String.fromCharCode(view.getUint8(offset + j));
+        score = 3;
+      } else {
+        continue;
+      }
+      if (rank[nameID] == null || score < rank[nameID]) {
+        rank[nameID] = score;
+        names[nameID] = value;
+      }
+    }
+    return names;
+  }
+
+  function parseFvar(view, names) {
+    if (!view) return { axes: [], instances: [] };
+    const axesOffset = view.getUint16(4);
+    const axisCount = view.getUint16(8);
+    const axisSize = view.getUint16(10);
+    const instanceCount = view.getUint16(12);
+    const instanceSize = view.getUint16(14);
+
+    const axes = [];
+    for (let i = 0; i < axisCount; i++) {
+      const rec = axesOffset + i * axisSize;
+      axes.push({
+        tag: tagAt(view, rec),
+        min: fixedAt(view, rec + 4),
+        default: fixedAt(view, rec + 8),
+        max: fixedAt(view, rec + 12),
+        hidden: (view.getUint16(rec + 16) & 0x0001) !== 0,
+        name: names[view.getUint16(rec + 18)] || tagAt(view, rec),
+      });
+    }
+
+    const instances = [];
+    const instancesOffset = axesOffset + axisCount * axisSize;
+    for (let i = 0; i < instanceCount; i++) {
+      const rec = instancesOffset + i * instanceSize;
+      const coordinates = {};
+      axes.forEach((axis, a) => {
+        coordinates[axis.tag] = fixedAt(view, rec + 4 + a * 4);
+      });
+      const instance = { name: names[view.getUint16(rec)] || '', coordinates };
+      if (instanceSize >= axisCount * 4 + 6) {
+        const psId = view.getUint16(rec + 4 + axisCount * 4);
+        if (psId !== 0xffff && names[psId]) instance.postScriptName = names[psId];
+      }
+      instances.push(instance);
+    }
+    return { axes, instances };
+  }
+
+  // Returns a code point -> glyph id lookup built from the best Unicode cmap subtable
+  function parseCmap(view) {
+    if (!view) return () => 0;
+    const count = view.getUint16(2);
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      const rec = 4 + i * 8;
+      const platform = view.getUint16(rec);
+      const encoding = view.getUint16(rec + 2);
+      const offset = view.getUint32(rec + 4);
+      const format = view.getUint16(offset);
+      const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+      if (!unicode || (format !== 4 && format !== 12)) continue;
+      // Prefer full-repertoire format 12 over BMP-only format 4
+      candidates.push({ offset, format, score: format === 12 ? 0 : 1 });
+    }
+    candidates.sort((a, b) => a.score - b.score);
+    const best = candidates[0];
+    if (!best) return () => 0;
+
+    if (best.format === 12) {
+      const groups = view.getUint32(best.offset + 12);
+      return (cp) => {
+        let lo = 0;
+        let hi = groups - 1;
+        while (lo <= hi) {
+          const mid = (lo + hi) >> 1;
+          const rec = best.offset + 16 + mid * 12;
+          const startChar = view.getUint32(rec);
+          const endChar = view.getUint32(rec + 4);
+          if (cp < startChar) hi = mid - 1;
+          else if (cp > endChar) lo = mid + 1;
+          else return view.getUint32(rec + 8) + (cp - startChar);
+        }
+        return 0;
+      };
+    }
+
+    const base = best.offset;
+    const segCount = view.getUint16(base + 6) / 2;
+    const endCodes = base + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+    return (cp) => {
+      if (cp > 0xffff) return 0;
+      for (let i = 0; i < segCount; i++) {
+        if (cp > view.getUint16(endCodes + i * 2)) continue;
+        const startCode = view.getUint16(startCodes + i * 2);
+        if (cp < startCode) return 0;
+        const delta = view.getInt16(idDeltas + i * 2);
+        const rangeOffset = view.getUint16(idRangeOffsets + i * 2);
+        if (rangeOffset === 0) return (cp + delta) & 0xffff;
+        const glyphAt = idRangeOffsets + i * 2 + rangeOffset + (cp - startCode) * 2;
+        const glyph = view.getUint16(glyphAt);
+        return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+      }
+      return 0;
+    };
+  }
+
+  class FontInfo {
+    constructor({ unitsPerEm, hhea, os2, names, axes, instances, glyphOf }) {
+      this.unitsPerEm = unitsPerEm;
+      this.hhea = hhea;
+      this.os2 = os2;
+      this.names = names;
+      this.axes = axes;
+      this.instances = instances;
+      this.glyphOf = glyphOf;
+
+      const typo = os2 && os2.useTypoMetrics;
+      const src = typo ? os2.typo : hhea;
+      this.ascender = src.ascender;
+      this.descender = src.descender;
+      this.lineGap = src.lineGap;
+      this.metricsSource = typo ? 'OS/2' : 'hhea';
+    }
+
+    get family() {
+      return this.names[16] || this.names[1] || '';
+    }
+
+    get subfamily() {
+      return this.names[17] || this.names[2] || '';
+    }
+
+    get fullName() {
+      return this.names[4] || '';
+    }
+
+    get postScriptName() {
+      return this.names[6] || '';
+    }
+
+    get isVariable() {
+      return this.axes.length > 0;
+    }
+
+    hasCodePoint(cp) {
+      return this.glyphOf(cp) !== 0;
+    }
+
+    /**
+     * Check whether the font has glyphs for every character of text (whitespace/control characters are ignored).
+     * @returns {{ covered: boolean, ratio: number, missing: string[] }}
+     */
+    coverage(text) {
+      const missing = new Set();
+      let total = 0;
+      let found = 0;
+      for (const ch of String(text || '')) {
+        const cp = ch.codePointAt(0);
+        if (cp < 0x20 || /\s/.test(ch) || (cp >= 0xfe00 && cp <= 0xfe0f) || cp === 0x200d) continue;
+        total++;
+        if (this.hasCodePoint(cp)) found++;
+        else missing.add(ch);
+      }
+      return { covered: missing.size === 0, ratio: total ? found / total : 1, missing: Array.from(missing) };
+    }
+
+    /**
+     * Font-wide metrics scaled to a pixel size (descender is returned as a positive distance)
+     */
+    scaledMetrics(size = 16) {
+      const scale = toUnitless(size) / this.unitsPerEm;
+      const ascent = this.ascender * scale;
+      const descent = -this.descender * scale;
+      const lineGap = this.lineGap * scale;
+      return { ascent, descent, lineGap, lineHeight: ascent + descent + lineGap, normalLineHeightRatio: (ascent + descent + lineGap) / toUnitless(size) };
+    }
+  }
+
+  /**
+   * Parse a font binary (ArrayBuffer/Uint8Array) into a FontInfo
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @param {{ language?: string }} [options] preferred language for name table strings
+   */
+  async function parseFont(buffer, { language = 'en' } = {}) {
+    const tables = await readTables(buffer);
+    if (!tables.head || !tables.hhea) throw new Error('Font is missing head/hhea tables');
+
+    const head = tables.head;
+    const hheaView = tables.hhea;
+    const hhea = {
+      ascender: hheaView.getInt16(4),
+      descender: hheaView.getInt16(6),
+      lineGap: hheaView.getInt16(8),
+    };
+
+    let os2 = null;
+    const o = tables['OS/2'];
+    if (o && o.byteLength >= 78) {
+      const version = o.getUint16(0);
+      os2 = {
+        version,
+        weightClass: o.getUint16(4),
+        widthClass: o.getUint16(6),
+        useTypoMetrics: (o.getUint16(62) & 0x0080) !== 0,
+        typo: { ascender: o.getInt16(68), descender: o.getInt16(70), lineGap: o.getInt16(72) },
+        win: { ascent: o.getUint16(74), descent: o.getUint16(76) },
+      };
+      if (version >= 2 && o.byteLength >= 90) {
+        os2.xHeight = o.getInt16(86);
+        os2.capHeight = o.getInt16(88);
+      }
+    }
+
+    const names = parseNameTable(tables.name, language);
+    const { axes, instances } = parseFvar(tables.fvar, names);
+
+    return new FontInfo({
+      unitsPerEm: head.getUint16(18),
+      hhea,
+      os2,
+      names,
+      axes,
+      instances,
+      glyphOf: parseCmap(tables.cmap),
+    });
+  }
+
   class FontManager extends EventEmitter {
     constructor(options = {}) {
       super();
@@ -425,6 +973,7 @@
       this.loader = new FontLoader({ timeout });
       this.registry = new FontRegistry();
       this.metrics = new FontMetrics();
+      this.text = new TextLayout(this.metrics);
       this.defaultLanguage = defaultLanguage || detectLanguage();
       this.defaultFallback = Array.isArray(defaultFallback) ? defaultFallback.slice() : ['sans-serif'];
       this.presets = new Map(); // name -> style preset
@@ -454,11 +1003,58 @@
       this.registry.set(normalized.name, normalized);
       this.emit('load', { name: normalized.name, result });
 
-      // Optional wait-for
-      const ok = await this.loader.waitFor(normalized.name);
+      // Optional table parsing runs alongside the render probe; a parse failure never fails the load
+      const parsing = normalized.parse || normalized.metricsUrl
+        ? this.loadInfo(normalized.name).catch(() => null)
+        : Promise.resolve(null);
+
+      // Optional wait-for (a failed load would only run the probe until the timeout)
+      const ok = result.status === 'failed' ? false : await this.loader.waitFor(normalized.name);
       this.emit('ready', { name: normalized.name, ok });
 
-      return { name: normalized.name, ok, result };
+      const info = await parsing;
+      return { name: normalized.name, ok, result, info };
+    }
+
+    /**
+     * Fetch the font binary of a registered font and parse its OpenType tables
+     */
+    async loadInfo(name) {
+      const desc = this.registry.get(name);
+      if (!desc) throw new Error(`Unknown font: ${name}`);
+      const url = desc.metricsUrl || (desc.src.find((s) => s.url) || {}).url;
+      if (!url) throw new Error(`No font binary to parse for ${name}`);
+      try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} while fetching ${url}`);
+        desc.info = await parseFont(await res.arrayBuffer(), { language: this.defaultLanguage });
+        this.emit('info', { name, info: desc.info });
+        return desc.info;
+      } catch (e) {
+        this.emit('parseerror', { name, error: e });
+        throw e;
+      }
+    }
+
+    getInfo(name) {
+      const desc = this.registry.get(name);
+      return (desc && desc.info) || null;
+    }
+
+    /**
+     * Glyph coverage of text for a parsed font, or null when the font was not parsed
+     */
+    coverage(name, text) {
+      const info = this.getInfo(name);
+      return info ? info.coverage(text) : null;
+    }
+
+    /**
+     * Font-wide ascent/descent/lineGap in px from parsed tables, or null when the font was not parsed
+     */
+    fontMetrics(name, size = 16) {
+      const info = this.getInfo(name);
+      return info ? info.scaledMetrics(size) : null;
     }
 
     ensureFonts(fonts) {
@@ -592,7 +1188,9 @@
     }
 
     estimateLineHeight(style) {
-      return this.metrics.estimateLineHeight(style);
+      // "normal" line height is the font's own ascent + descent + lineGap when we have the tables
+      const parsed = style.lineHeight == null && style.family ? this.fontMetrics(style.family, style.size || 16) : null;
+      return parsed ? parsed.lineHeight : this.metrics.estimateLineHeight(style);
     }
 
     /**
@@ -604,6 +1202,37 @@
       return this.measure(text, style);
     }
 
+    /**
+     * Multi-line layout helpers (see TextLayout). Measuring uses the composed fallback chain
+     * so the result matches what drawText paints; parsed fonts supply the default line height.
+     */
+    layoutText(text, style, options = {}) {
+      return this.text.layout(text, style, this.layoutOptions(style, options));
+    }
+
+    fitText(text, style, options = {}) {
+      return this.text.fit(text, style, this.layoutOptions(style, options));
+    }
+
+    truncateText(text, style, maxWidth, options = {}) {
+      return this.text.truncate(text, style, maxWidth, this.layoutOptions(style, options));
+    }
+
+    drawText(ctx, textOrLayout, style, options = {}) {
+      return this.text.draw(ctx, textOrLayout, style, this.layoutOptions(style, options));
+    }
+
+    layoutOptions(style, options) {
+      return Object.assign(
+        {
+          family: this.composeFamily(style.family, style.fallback, style.languages),
+          locale: (style.languages && style.languages[0]) || this.defaultLanguage,
+          lineHeight: (s) => this.estimateLineHeight(s), // per size, so fitText shrinks the leading too
+        },
+        options
+      );
+    }
+
     /**
      * Variable font axis utilities
      */
@@ -670,19 +1299,27 @@
     }
 
     /**
-     * Select a font by context (script, weight range, variable support)
+     * Select a font by context (script, weight range, variable support).
+     * With `text`, parsed fonts missing any glyph are dropped and fonts known to cover it rank first.
      */
-    select({ languages = [this.defaultLanguage], variable = true, weightRange, prefer }) {
+    select({ languages = [this.defaultLanguage], variable = true, weightRange, prefer, text }) {
       const matches = [];
+      const covers = new Map(); // name -> true (parsed, covered) | null (not parsed)
       for (const f of this.registry.all()) {
         const hasLang = !f.languages || f.languages.length === 0 || f.languages.some((l) => languages.includes(l));
         const hasVar = variable ? supportsVariableWeight(f) : true;
         const weightOk = weightRange ? supportsWeightRange(f, weightRange) : true;
         const preferred = prefer ? f.name.toLowerCase().includes(prefer.toLowerCase()) : true;
+        const coverage = text && f.info ? f.info.coverage(text).covered : null;
+        if (coverage === false) continue;
+        covers.set(f.name, coverage);
         if (hasLang && hasVar && weightOk && preferred) matches.push(f);
       }
-      // Basic ranking: prefer variable, then language match, then name preference
+      // Basic ranking: known glyph coverage, then variable, then language match, then name preference
       matches.sort((a, b) => {
+        const acov = covers.get(a.name) ? 1 : 0;
+        const bcov = covers.get(b.name) ? 1 : 0;
+        if (acov !== bcov) return bcov - acov;
         const avar = supportsVariableWeight(a) ? 1 : 0;
         const bvar = supportsVariableWeight(b) ? 1 : 0;
         if (avar !== bvar) return bvar - avar;
@@ -816,6 +1453,10 @@
   // Expose global
   const api = {
     FontManager,
+    FontLoader,
+    FontInfo,
+    TextLayout,
+    parseFont,
     splitGraphemes,
     createKoreanPresets,
   };
@@ -828,136 +1469,3 @@
 
 })(typeof window !== 'undefined' ? window : globalThis);
 
-
-/* ---------------------------
-   Example usage (remove in production)
------------------------------ */
-
-(async function exampleUsage() {
-  if (typeof document === 'undefined') return;
-
-  const { FontManager, createKoreanPresets } = window.FontKitJS;
-  const fm = new FontManager({ timeout: 15000, defaultLanguage: 'ko' });
-
-  // Listen to events
-  fm.on('load', ({ name, result }) => {
-    console.log(`[FontKitJS] Loaded font ${name} with status: ${result.status}`);
-  });
-  fm.on('ready', ({ name, ok }) => {
-    console.log(`[FontKitJS] Font ready ${name}: ${ok}`);
-  });
-  fm.on('class', ({ className }) => {
-    console.log(`[FontKitJS] CSS class injected: .${className}`);
-  });
-
-  // Register presets
-  createKoreanPresets(fm);
-
-  // Load fonts (you must host these URLs or adjust)
-  try {
-    await fm.ensureFonts([
-      {
-        name: 'Pretendard',
-        src: [
-          { url: '/fonts/PretendardVariable.woff2', format: 'woff2' },
-        ],
-        descriptors: { style: 'normal', weight: '100 900', display: 'swap' },
-        axes: { wght: 400, wdth: 100, opsz: 14 },
-        features: { liga: 1, kern: 1 },
-        fallback: ['Noto Sans KR', 'Apple SD Gothic Neo', 'system-ui', 'sans-serif'],
-        languages: ['ko'],
-      },
-      {
-        name: 'Noto Sans KR',
-        src: [
-          { url: '/fonts/NotoSansKR-Regular.woff2', format: 'woff2' },
-        ],
-        descriptors: { style: 'normal', weight: 400, display: 'swap' },
-        features: { liga: 1, kern: 1 },
-        fallback: ['Apple SD Gothic Neo', 'system-ui', 'sans-serif'],
-        languages: ['ko'],
-      },
-      {
-        name: 'JetBrains Mono',
-        src: [
-          { url: '/fonts/JetBrainsMono-Variable.woff2', format: 'woff2' },
-        ],
-        descriptors: { style: 'normal', weight: '100 800', display: 'swap' },
-        axes: { wght: 400, wdth: 100, ital: 0 },
-        features: { liga: 1, kern: 1, ss01: 1 },
-        fallback: ['ui-monospace', 'SFMono-Regular', 'Menlo', 'Consolas', 'monospace'],
-        languages: ['en', 'ko'],
-      },
-    ]);
-  } catch (e) {
-    console.warn('[FontKitJS] Font load error', e);
-  }
-
-  // Apply to elements
-  const header = document.getElementById('header');
-  const body = document.getElementById('body');
-  const code = document.getElementById('code');
-
-  if (header) {
-    fm.applyToElement(header, fm.getPreset('headline-kr') || {
-      family: 'Pretendard',
-      size: 28,
-      lineHeight: 1.3,
-      weight: 700,
-      axes: { wght: 700, wdth: 100, opsz: 28 },
-      features: { liga: 1, kern: 1 },
-      fallback: ['Noto Sans KR', 'system-ui', 'sans-serif'],
-      languages: ['ko'],
-    });
-  }
-
-  if (body) {
-    fm.applyToElement(body, fm.getPreset('body-kr') || {
-      family: 'Noto Sans KR',
-      size: 16,
-      lineHeight: 1.6,
-      weight: 400,
-      features: { liga: 1, kern: 1 },
-      fallback: ['Apple SD Gothic Neo', 'system-ui', 'sans-serif'],
-      languages: ['ko'],
-    });
-  }
-
-  if (code) {
-    const binding = fm.bindElement(code, fm.getPreset('mono') || {
-      family: 'JetBrains Mono',
-      size: 14,
-      lineHeight: 1.5,
-      weight: 400,
-      features: { liga: 1, kern: 1, ss01: 1 },
-      fallback: ['ui-monospace', 'SFMono-Regular', 'Menlo', 'Consolas', 'monospace'],
-      languages: ['en', 'ko'],
-    });
-
-    // Animate weight axis
-    fm.animateAxis(code, 'wght', 300, 700, {
-      duration: 1200,
-      onUpdate: (val) => {
-        // Optional live measurement
-        const m = fm.measure(code.textContent || '', binding.style);
-        // console.log('axis wght:', val.toFixed(0), 'width:', m.width.toFixed(2));
-      },
-    });
-  }
-
-  // Create and inject a class
-  fm.createClass('title-font', {
-    family: 'Pretendard',
-    size: 32,
-    weight: 800,
-    style: 'normal',
-    axes: { wght: 800, wdth: 100, opsz: 32 },
-    features: { liga: 1, kern: 1 },
-    fallback: ['Noto Sans KR', 'system-ui', 'sans-serif'],
-    languages: ['ko'],
-    lineHeight: 1.2,
-    letterSpacing: 0.2,
-    color: '#111',
-  });
-
-})();
@@ -0,0 +1,280 @@
+/*!
+ * MoonlightGames - make/ 게임들이 같이 쓰는 저장/기록 모듈 (LocalStorage).
+ * Supports:
+ *  - 게임별 이름공간 + 버전이 붙은 저장 (버전이 다르면 migrate(data, fromVersion) 호출)
+ *  - 게임별 로컬 순위표(상위 N개, 플레이어 이름/날짜 포함, 높은 값/낮은 값 우선)
+ *  - 예전 개별 키(snake_best 등)를 한 번만 순위표로 옮기기
+ *  - "내 기록" 페이지(make/내기록.html)용 게임 목록 / 모든 게임 백업·복원 파일
+ *
+ * (make/ 아래 페이지는 <script src="../js/Temporary-library-js/game-store.js"></script>)
+ *
+ * Usage example:
+ *  const records = MoonlightGames.open('snake', {
+ *    title: 'AI 스네이크 아레나', emoji: '🐍', url: 'make/snake.html',
+ *    boards: { score: { label: '점수', unit: '점' } }
+ *  });
+ *  records.migrateLegacy('snake_best', raw => [{ board: 'score', value: Number(raw) }]);
+ *  const { rank } = records.submit('score', 120, { detail: '길이 14' });
+ *  const best = records.best('score');            // { value, name, at, detail } | null
+ *
+ *  records.save('main', state);                    // { version, savedAt, data } 로 저장
+ *  const data = records.load('main', { migrate: (old, from) => ({ ...old, gold: 0 }) });
+ *
+ *  MoonlightGames.downloadBackup();                // 모든 게임 기록을 JSON 파일로
+ */
+
+(function (global) {
+  'use strict';
+
+  const PREFIX = 'moonlight.games';
+  const REGISTRY_KEY = PREFIX + '.registry';
+  const PLAYER_KEY = PREFIX + '.player';
+  const BACKUP_FORMAT = 'moonlight-games-backup';
+  const BACKUP_VERSION = 1;
+  const DEFAULT_LIMIT = 10;
+  const DEFAULT_PLAYER = '플레이어';
+
+  // 공유 모듈 대신 자체 형식으로 저장하는 게임의 키(앞부분). 백업에 같이 넣습니다.
+  // 농장 콘텐츠 팩(farm_content_pack_custom)은 농장 화면의 검사를 거쳐야 하므로 넣지 않습니다.
+  const EXTERNAL_KEY_PREFIXES = ['farm_ext_save_slot_', 'farm_ext_backup_slot_'];
+
+  const storage = () => global.localStorage;
+
+  function readJSON(key, fallback) {
+    try {
+      const raw = storage().getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+  function writeJSON(key, value) {
+    storage().setItem(key, JSON.stringify(value));
+  }
+
+  const gameKey = (id, kind, name) => `${PREFIX}.${id}.${kind}.${name}`;
+  const readRegistry = () => readJSON(REGISTRY_KEY, {});
+
+  // 이름을 정한 적이 없으면 fallback(기본 '플레이어')
+  function getPlayerName(fallback = DEFAULT_PLAYER) {
+    return storage().getItem(PLAYER_KEY) || fallback;
+  }
+  function setPlayerName(name) {
+    const clean = String(name || '').trim().slice(0, 20);
+    if (clean) storage().setItem(PLAYER_KEY, clean);
+    else storage().removeItem(PLAYER_KEY);
+    return getPlayerName();
+  }
+
+  // 값 표시: format 'time' 은 초 → mm:ss, 나머지는 천 단위 구분 + unit
+  function formatValue(board, value) {
+    if (value == null || !Number.isFinite(Number(value))) return '—';
+    if (board && board.format === 'time') {
+      const s = Math.round(value);
+      return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+    }
+    return Number(value).toLocaleString('ko-KR') + ((board && board.unit) || '');
+  }
+
+  function sortEntries(entries, order) {
+    const dir = order === 'asc' ? 1 : -1;
+    // 값이 같으면 먼저 세운 기록이 위
+    return entries.sort((a, b) => (a.value - b.value) * dir || a.at - b.at);
+  }
+
+  function open(id, options = {}) {
+    if (!/^[a-z0-9-]+$/.test(id)) throw new Error(`게임 id 는 영소문자/숫자/- 만 쓸 수 있습니다: ${id}`);
+    const version = options.version || 1;
+    const boards = {};
+    for (const [name, board] of Object.entries(options.boards || {})) {
+      boards[name] = { label: name, order: 'desc', limit: DEFAULT_LIMIT, ...board };
+    }
+
+    // 내 기록 페이지가 게임을 모르고도 그릴 수 있도록 게임 정보를 등록해 둠
+    function register(extra) {
+      const registry = readRegistry();
+      const prev = registry[id] || {};
+      registry[id] = {
+        ...prev,
+        title: options.title || prev.title || id,
+        emoji: options.emoji || prev.emoji || '🎮',
+        url: options.url || prev.url || '',
+        boards,
+        ...extra,
+      };
+      try { writeJSON(REGISTRY_KEY, registry); } catch (e) { /* 저장공간 부족 시 무시 */ }
+      return registry[id];
+    }
+    register();
+
+    function boardOf(name) {
+      const board = boards[name];
+      if (!board) throw new Error(`${id}: 등록되지 않은 순위표 "${name}"`);
+      return board;
+    }
+
+    function top(name, count) {
+      const board = boardOf(name);
+      const entries = readJSON(gameKey(id, 'board', name), []).filter((e) => e && Number.isFinite(e.value));
+      return sortEntries(entries, board.order).slice(0, count || board.limit);
+    }
+
+    // 상위 N 안에 들면 rank(1부터), 아니면 rank 0
+    function submit(name, value, { name: player, detail, at } = {}) {
+      const board = boardOf(name);
+      if (!Number.isFinite(Number(value))) return { rank: 0, best: false };
+      const entry = { value: Number(value), name: player || getPlayerName(), at: at || Date.now() };
+      if (detail) entry.detail = String(detail);
+      const entries = sortEntries([...top(name, board.limit), entry], board.order).slice(0, board.limit);
+      const rank = entries.indexOf(entry) + 1;
+      if (rank) {
+        writeJSON(gameKey(id, 'board', name), entries);
+        register({ updatedAt: entry.at });
+      }
+      return { rank, best: rank === 1 };
+    }
+
+    function best(name) {
+      return top(name, 1)[0] || null;
+    }
+
+    function clear(name) {
+      const names = name ? [name] : Object.keys(boards);
+      names.forEach((n) => storage().removeItem(gameKey(id, 'board', n)));
+    }
+
+    function save(slot, data) {
+      const savedAt = Date.now();
+      writeJSON(gameKey(id, 'save', slot || 'main'), { version, savedAt, data });
+      register({ updatedAt: savedAt });
+      return savedAt;
+    }
+
+    // 버전이 다르면 migrate(data, fromVersion) 결과를 돌려줌(없으면 그대로)
+    function load(slot, { migrate } = {}) {
+      const stored = readJSON(gameKey(id, 'save', slot || 'main'), null);
+      if (!stored || typeof stored !== 'object' || !('data' in stored)) return null;
+      if (stored.version !== version && typeof migrate === 'function') return migrate(stored.data, stored.version);
+      return stored.data;
+    }
+
+    function savedAt(slot) {
+      const stored = readJSON(gameKey(id, 'save', slot || 'main'), null);
+      return stored ? stored.savedAt : null;
+    }
+
+    function remove(slot) {
+      storage().removeItem(gameKey(id, 'save', slot || 'main'));
+    }
+
+    // 예전 개별 키를 한 번만 옮김. convert(raw) 는 [{board, value, name?, at?, detail?}] 또는
+    // { save: data } 를 돌려줌. 옮긴 뒤 예전 키는 지웁니다.
+    function migrateLegacy(key, convert) {
+      const raw = storage().getItem(key);
+      if (raw == null) return false;
+      try {
+        const result = convert(raw);
+        if (Array.isArray(result)) {
+          result.forEach((e) => e && submit(e.board, e.value, e));
+        } else if (result && 'save' in result) {
+          if (load(result.slot) == null) save(result.slot, result.save);
+        }
+      } catch (e) {
+        return false;  // 읽을 수 없는 예전 값은 그대로 둠
+      }
+      storage().removeItem(key);
+      return true;
+    }
+
+    // 내 기록 페이지에 보일 한 줄 요약(예: "슬롯 1 · 12일차")
+    function note(text) {
+      register({ note: String(text || ''), updatedAt: Date.now() });
+    }
+
+    return { id, version, boards, top, submit, best, clear, save, load, savedAt, remove, migrateLegacy, note };
+  }
+
+  // 등록된 게임 목록 + 순위표 내용 (내 기록 페이지용)
+  function listGames() {
+    const registry = readRegistry();
+    return Object.entries(registry).map(([id, info]) => ({
+      id,
+      ...info,
+      boards: Object.entries(info.boards || {}).map(([name, board]) => ({
+        name,
+        ...board,
+        entries: sortEntries(readJSON(gameKey(id, 'board', name), []), board.order),
+      })),
+    })).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  const isBackupKey = (key) =>
+    key === PREFIX || key.startsWith(PREFIX + '.') || EXTERNAL_KEY_PREFIXES.some((p) => key.startsWith(p));
+
+  function exportAll() {
+    const data = {};
+    const store = storage();
+    for (let i = 0; i < store.length; i++) {
+      const key = store.key(i);
+      if (isBackupKey(key)) data[key] = store.getItem(key);
+    }
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), data };
+  }
+
+  // 백업에 없는 기존 기록은 그대로 두고, 백업에 있는 키만 덮어씀. 게임 키가 아니면 무시.
+  function importAll(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT) throw new Error('달빛도구 게임 백업 파일이 아닙니다.');
+    if (backup.version > BACKUP_VERSION) throw new Error('더 새로운 버전에서 만든 백업입니다.');
+    if (!backup.data || typeof backup.data !== 'object') throw new Error('백업 내용이 비어 있습니다.');
+    let count = 0;
+    const registry = readRegistry();
+    for (const [key, value] of Object.entries(backup.data)) {
+      if (!isBackupKey(key) || typeof value !== 'string') continue;
+      if (key === REGISTRY_KEY) {
+        // 게임 정보는 합침(이 기기에만 있는 게임도 목록에 남도록)
+        try { Object.assign(registry, JSON.parse(value)); } catch (e) { continue; }
+      } else {
+        storage().setItem(key, value);
+      }
+      count++;
+    }
+    writeJSON(REGISTRY_KEY, registry);
+    return count;
+  }
+
+  function downloadBackup(filename) {
+    const backup = exportAll();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `달빛도구-게임기록-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    // 클릭 직후 해제하면 Firefox/Safari 는 다운로드를 시작하지 못합니다.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return backup;
+  }
+
+  async function restoreFile(file) {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error('JSON 파일을 읽을 수 없습니다.');
+    }
+    return importAll(backup);
+  }
+
+  const api = {
+    open, listGames, formatValue, getPlayerName, setPlayerName,
+    exportAll, importAll, downloadBackup, restoreFile,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    global.MoonlightGames = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
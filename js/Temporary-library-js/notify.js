@@ -0,0 +1,105 @@
+/*!
+ * MoonlightNotify - 달빛도구 서비스 워커(sw.js)의 예약 알림 API 클라이언트.
+ * Supports:
+ *  - 권한 요청 후 {id, title, body, fireAt, url} 예약 (같은 id 는 덮어쓰기)
+ *  - 예약 취소 / 목록 조회
+ *  - 알림을 누르면 url(기본값: 예약한 페이지)로 돌아옴
+ *
+ * 서비스 워커는 사이트 루트의 sw.js 를 사용하며, 이 스크립트 위치를 기준으로 찾습니다.
+ * (make/ 아래 페이지는 <script src="../js/Temporary-library-js/notify.js"></script>)
+ *
+ * Usage example:
+ *  await MoonlightNotify.schedule({
+ *    id: 'calendar:evt_123',
+ *    title: '📅 회의',
+ *    body: '10분 뒤 시작합니다.',
+ *    fireAt: Date.now() + 10 * 60 * 1000
+ *  });
+ *  await MoonlightNotify.cancel('calendar:evt_123');
+ *  const pending = await MoonlightNotify.list();
+ */
+
+(function (global) {
+  'use strict';
+
+  const REPLY_TIMEOUT = 10000;
+
+  // 이 스크립트는 <root>/js/Temporary-library-js/ 에 있으므로 두 단계 위가 사이트 루트입니다.
+  const scriptSrc = (global.document && document.currentScript && document.currentScript.src) || '';
+  const siteRoot = scriptSrc ? new URL('../../', scriptSrc).href : new URL('./', global.location.href).href;
+
+  let registrationPromise = null;
+
+  const isSupported = () =>
+    !!(global.navigator && 'serviceWorker' in navigator && 'Notification' in global);
+
+  function register() {
+    if (!isSupported()) return Promise.reject(new Error('이 브라우저는 알림 예약을 지원하지 않습니다.'));
+    if (!registrationPromise) {
+      registrationPromise = navigator.serviceWorker
+        .register(new URL('sw.js', siteRoot).href, { scope: siteRoot })
+        .then(() => navigator.serviceWorker.ready)
+        .then(async (reg) => {
+          // 지원 브라우저에서는 탭이 닫혀 있어도 주기적으로 밀린 알림을 확인합니다.
+          if ('periodicSync' in reg) {
+            try {
+              await reg.periodicSync.register('moonlight-notifications', { minInterval: 15 * 60 * 1000 });
+            } catch (e) { /* 권한이 없으면 무시 */ }
+          }
+          return reg;
+        });
+    }
+    return registrationPromise;
+  }
+
+  async function requestPermission() {
+    if (!isSupported()) return 'denied';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+  }
+
+  async function send(message) {
+    const reg = await register();
+    const worker = reg.active || navigator.serviceWorker.controller;
+    if (!worker) throw new Error('서비스 워커가 아직 활성화되지 않았습니다.');
+
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => reject(new Error('서비스 워커 응답 시간 초과')), REPLY_TIMEOUT);
+      channel.port1.onmessage = (e) => {
+        clearTimeout(timer);
+        if (e.data && e.data.ok) resolve(e.data.result);
+        else reject(new Error((e.data && e.data.error) || '알 수 없는 오류'));
+      };
+      worker.postMessage(message, [channel.port2]);
+    });
+  }
+
+  async function schedule(notification) {
+    const permission = await requestPermission();
+    if (permission !== 'granted') throw new Error('알림 권한이 허용되지 않았습니다.');
+
+    const fireAt = notification.fireAt instanceof Date ? notification.fireAt.getTime() : notification.fireAt;
+    return send({
+      type: 'SCHEDULE_NOTIFICATION',
+      notification: { url: global.location.href, ...notification, fireAt },
+    });
+  }
+
+  function cancel(id) {
+    return send({ type: 'CANCEL_NOTIFICATION', id });
+  }
+
+  async function list(prefix) {
+    const items = await send({ type: 'LIST_NOTIFICATIONS' });
+    return prefix ? items.filter((item) => item.id.startsWith(prefix)) : items;
+  }
+
+  const api = { isSupported, register, requestPermission, schedule, cancel, list };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    global.MoonlightNotify = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,8 +1,383 @@
+/* ==========================================================================
+   달빛도구 서비스 워커 (App Shell)
+   - 설치 시 홈/도구 페이지를 버전별 캐시에 미리 저장 (오프라인 동작)
+   - img/, file/ 의 이미지·오디오는 stale-while-revalidate
+   - data/main.json 은 network-first (새 버전 감지용)
+   - 예약 알림: 페이지가 보낸 {id, title, body, fireAt} 을 IndexedDB 에 보관했다가 표시
+   PRECACHE_URLS 목록을 바꾸는 커밋마다 CACHE_VERSION 을 올려주세요.
+   사용자에게 새 소식으로 알릴 배포면 data/main.json 의 meta.version 도 함께 올립니다.
+   ==========================================================================
+*/
+
+const CACHE_VERSION = 'v5.2';
+const SHELL_CACHE = `moonlight-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = 'moonlight-media-v1';
+const DATA_URL = 'data/main.json';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  '404.html',
+  'ai.html',
+  'ainew.html',
+  'manifest.webmanifest',
+  'data/main.json',
+  'js/Temporary-library-js/ai-provider.js',
+  'js/Temporary-library-js/font.js',
+  'js/Temporary-library-js/font-settings.js',
+  'js/Temporary-library-js/notify.js',
+  'js/Temporary-library-js/game-store.js',
+  'img/Copilot_20250927_135650.png',
+  'make/bmi.html',
+  'make/book.html',
+  'make/calender.html',
+  'make/dataurl.html',
+  'make/happy.html',
+  'make/love.html',
+  'make/metronome.html',
+  'make/money.html',
+  'make/puzzle.html',
+  'make/qr.html',
+  'make/sample.html',
+  'make/santa.html',
+  'make/snake.html',
+  'make/storage-space.html',
+  'make/json/농사(기본).json',
+  'make/곤충도감.html',
+  'make/내기록.html',
+  'make/냥냥타이쿤.html',
+  'make/농장.html',
+  'make/json/농장-콘텐츠(기본).json',
+  'make/라부부.html',
+  'make/json/라부부-배너.json',
+  'make/메신저.html',
+  'make/버블.html',
+  'make/브롤스타즈.html',
+  'make/스타크래프트.html',
+  'make/스피드클릭.html'
+];
+
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  // 하나라도 실패하면 설치 자체가 실패하므로 최신 응답만 넣습니다.
+  await cache.addAll(PRECACHE_URLS.map(url => new Request(scopeUrl(url), { cache: 'reload' })));
+}
+
+self.addEventListener('install', event => {
+  // 새 버전은 홈 화면의 "업데이트" 버튼(SKIP_WAITING)으로 활성화합니다.
+  event.waitUntil(precacheShell());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter(key => key.startsWith('moonlight-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))
+    );
+    await self.clients.claim();
+    await checkDueNotifications();
+  })());
+});
+
+/* [1] 캐시 전략 */
+
+// 캐시 우선: 미리 저장한 페이지는 오프라인에서도 바로 열립니다.
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    if (request.mode === 'navigate') {
+      const fallback = await caches.match(scopeUrl('404.html'));
+      if (fallback) return fallback;
+    }
+    throw err;
+  }
+}
+
+// 네트워크 우선: 실패하면 마지막으로 저장된 응답을 사용합니다.
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// 오디오 태그는 Range 요청을 보내므로 캐시된 전체 응답에서 잘라 206으로 돌려줍니다.
+async function rangeResponse(request, response) {
+  const blob = await response.blob();
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range') || '');
+  if (!match) return new Response(blob, { status: 200, headers: response.headers });
+
+  const start = match[1] ? Number(match[1]) : 0;
+  const end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(blob.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+// stale-while-revalidate: 캐시를 즉시 돌려주고 뒤에서 새로 받아 갱신합니다.
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request.url);
+
+  const refresh = fetch(request.url)
+    .then(response => {
+      if (response.ok && response.status === 200) cache.put(request.url, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+  }
+
+  const response = await refresh;
+  if (!response) return Response.error();
+  return request.headers.has('range') ? rangeResponse(request, response.clone()) : response;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  // 워커가 깨어날 때마다 밀린 알림이 있는지 확인합니다.
+  if (request.mode === 'navigate') event.waitUntil(checkDueNotifications());
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+
+  if (path === DATA_URL) {
+    event.respondWith(networkFirst(request));
+  } else if (path.startsWith('img/') || path.startsWith('file/')) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/* [2] 예약 알림 스케줄러
+   워커는 언제든 종료될 수 있으므로 setTimeout 은 보조 수단이고,
+   활성화·페이지 이동·메시지·periodicsync 때마다 기한이 지난 알림을 다시 확인합니다.
+   TimestampTrigger 를 지원하는 브라우저는 예약 시점에 OS 에 바로 맡깁니다. */
+const NOTIFY_DB = 'moonlight-sw';
+const NOTIFY_STORE = 'notifications';
+const MAX_TIMER_MS = 2147483647;
+let notifyTimer = null;
+
+function openNotifyDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(NOTIFY_DB, 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(NOTIFY_STORE)) {
+        db.createObjectStore(NOTIFY_STORE, { keyPath: 'id' }).createIndex('fireAt', 'fireAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function notifyTx(mode, fn) {
+  const db = await openNotifyDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(NOTIFY_STORE, mode);
+    const store = tx.objectStore(NOTIFY_STORE);
+    let result;
+    const req = fn(store);
+    if (req) req.onsuccess = () => { result = req.result; };
+    tx.oncomplete = () => { db.close(); resolve(result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+const listScheduled = () => notifyTx('readonly', store => store.index('fireAt').getAll());
+const putScheduled = item => notifyTx('readwrite', store => store.put(item));
+const deleteScheduled = id => notifyTx('readwrite', store => store.delete(id));
+
+function normalizeNotification(input) {
+  if (!input || !input.id || !input.title) throw new Error('id 와 title 은 필수입니다.');
+  const fireAt = new Date(input.fireAt).getTime();
+  if (!Number.isFinite(fireAt)) throw new Error('fireAt 이 올바른 시각이 아닙니다.');
+  return {
+    id: String(input.id),
+    title: String(input.title),
+    body: input.body ? String(input.body) : '',
+    fireAt,
+    url: input.url ? new URL(input.url, self.registration.scope).href : self.registration.scope,
+    icon: input.icon || scopeUrl('img/Copilot_20250927_135650.png'),
+    triggered: false,
+    createdAt: Date.now()
+  };
+}
+
+function notificationOptions(item) {
+  return {
+    body: item.body,
+    icon: item.icon,
+    tag: item.id,
+    renotify: true,
+    data: { id: item.id, url: item.url }
+  };
+}
+
+async function scheduleNotification(input) {
+  const item = normalizeNotification(input);
+
+  // 같은 id 로 다시 예약하면 이전 예약(및 OS 에 맡긴 트리거)을 대체합니다.
+  await closeNotification(item.id);
+
+  if ('TimestampTrigger' in self && item.fireAt > Date.now()) {
+    try {
+      await self.registration.showNotification(item.title, {
+        ...notificationOptions(item),
+        showTrigger: new self.TimestampTrigger(item.fireAt)
+      });
+      item.triggered = true;
+    } catch (err) {
+      item.triggered = false;
+    }
+  }
+
+  await putScheduled(item);
+  await checkDueNotifications();
+  return item;
+}
+
+async function closeNotification(id) {
+  const shown = await self.registration.getNotifications({ tag: id, includeTriggered: true });
+  shown.forEach(n => n.close());
+}
+
+async function cancelNotification(id) {
+  await closeNotification(String(id));
+  await deleteScheduled(String(id));
+  await checkDueNotifications();
+}
+
+async function checkDueNotifications() {
+  let items;
+  try {
+    items = await listScheduled();
+  } catch (err) {
+    console.warn('[sw] 예약 알림을 읽지 못했습니다:', err);
+    return;
+  }
+
+  // 한 건이 실패해도(권한 회수 등) 나머지 알림과 다음 타이머는 계속 처리합니다.
+  const now = Date.now();
+  for (const item of items) {
+    if (item.fireAt > now) continue;
+    try {
+      if (!item.triggered) {
+        await self.registration.showNotification(item.title, notificationOptions(item));
+      }
+    } catch (err) {
+      console.warn(`[sw] 예약 알림 '${item.id}' 을 표시하지 못했습니다:`, err);
+    }
+    try {
+      await deleteScheduled(item.id);
+    } catch (err) {
+      console.warn(`[sw] 예약 알림 '${item.id}' 을 지우지 못했습니다:`, err);
+    }
+  }
+
+  clearTimeout(notifyTimer);
+  const next = items.find(item => item.fireAt > now);
+  if (next) {
+    notifyTimer = setTimeout(checkDueNotifications, Math.min(next.fireAt - now, MAX_TIMER_MS));
+  }
+}
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === 'moonlight-notifications') event.waitUntil(checkDueNotifications());
+});
+
+// 알림을 누르면 예약한 도구 페이지로 돌아갑니다 (이미 열려 있으면 그 탭을 띄움).
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = (event.notification.data && event.notification.data.url) || self.registration.scope;
+
+  event.waitUntil((async () => {
+    const targetUrl = new URL(target);
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => new URL(client.url).pathname === targetUrl.pathname);
+    if (existing) {
+      if (existing.url !== targetUrl.href && 'navigate' in existing) await existing.navigate(targetUrl.href);
+      return existing.focus();
+    }
+    return self.clients.openWindow(targetUrl.href);
+  })());
+});
+
+/* [3] 페이지 ↔ 워커 메시지 */
 self.addEventListener('message', event => {
-  if (event.data === 'showNotification') {
+  const data = event.data;
+
+  // 예전 페이지 호환용 고정 알림
+  if (data === 'showNotification') {
     self.registration.showNotification('⏰ 알림', {
       body: '지정된 시간입니다: 2025년 9월 12일 16시 10분!',
       icon: 'https://upload.wikimedia.org/wikipedia/commons/thumb/8/8c/Alarm_Clock.svg/1200px-Alarm_Clock.svg.png'
     });
+    return;
+  }
+
+  if (!data || typeof data !== 'object') return;
+
+  // 예약 알림 요청은 MessageChannel 포트(있으면)로 결과를 돌려줍니다.
+  const reply = payload => {
+    if (event.ports && event.ports[0]) event.ports[0].postMessage(payload);
+    else if (event.source) event.source.postMessage(payload);
+  };
+  const handle = (promise, type) => event.waitUntil(
+    promise
+      .then(result => reply({ type, ok: true, result }))
+      .catch(err => reply({ type, ok: false, error: err.message || String(err) }))
+  );
+
+  if (data.type === 'SCHEDULE_NOTIFICATION') {
+    handle(scheduleNotification(data.notification), 'NOTIFICATION_SCHEDULED');
+    return;
+  }
+  if (data.type === 'CANCEL_NOTIFICATION') {
+    handle(cancelNotification(data.id), 'NOTIFICATION_CANCELLED');
+    return;
+  }
+  if (data.type === 'LIST_NOTIFICATIONS') {
+    handle(checkDueNotifications().then(listScheduled), 'NOTIFICATIONS');
+    return;
+  }
+
+  if (data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (data.type === 'REFRESH_SHELL') {
+    // 워커 코드는 그대로지만 main.json 버전이 바뀐 경우: 앱 셸만 다시 받습니다.
+    event.waitUntil(
+      precacheShell()
+        .then(() => ({ type: 'SHELL_REFRESHED', ok: true }))
+        .catch(err => ({ type: 'SHELL_REFRESHED', ok: false, error: String(err) }))
+        .then(reply => event.source && event.source.postMessage(reply))
+    );
+  } else if (data.type === 'GET_VERSION') {
+    event.source && event.source.postMessage({ type: 'VERSION', version: CACHE_VERSION });
   }
 });
@@ -0,0 +1,126 @@
+// FontKitJS 텍스트 배치(줄바꿈/말줄임/맞춤/그리기) 테스트 (실행: node --test test/*.test.js)
+// 가짜 canvas 는 글자 하나를 글꼴 크기의 절반 폭으로 잰다 (10px → 5px)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFontKit, FakeContext } = require('./helpers/fake-dom');
+
+const { FontKitJS } = loadFontKit();
+const fm = new FontKitJS.FontManager({ defaultLanguage: 'ko', defaultFallback: ['sans-serif'] });
+const style = { family: 'Moon Sans', size: 10 };
+const texts = (layout) => layout.lines.map((l) => l.text);
+
+test('splitGraphemes 는 결합 문자와 이모지를 나누지 않는다', () => {
+  assert.deepEqual(FontKitJS.splitGraphemes('a한👍🏽é'), ['a', '한', '👍🏽', 'é']);
+});
+
+test('layoutText: 단어 단위로 줄바꿈하고 줄 끝 공백을 지운다', () => {
+  const l = fm.layoutText('hello world foo', style, { maxWidth: 30 });
+  assert.deepEqual(texts(l), ['hello', 'world', 'foo']);
+  assert.deepEqual(l.lines.map((x) => x.width), [25, 25, 15]);
+  assert.equal(l.width, 25);
+  assert.equal(l.lineHeight, 12.5); // 줄 높이 미지정 → 1.25배
+  assert.equal(l.height, 37.5);
+  assert.equal(l.font, 'normal normal 10px "Moon Sans", sans-serif');
+  assert.equal(l.truncated, false);
+  assert.equal(l.brokeWord, false);
+});
+
+test('layoutText: 빈 문자열과 줄바꿈 문자', () => {
+  assert.deepEqual(texts(fm.layoutText('', style)), ['']);
+  assert.deepEqual(texts(fm.layoutText(null, style)), ['']);
+  assert.deepEqual(texts(fm.layoutText('첫 줄\r\n둘째 줄', style)), ['첫 줄', '둘째 줄']);
+});
+
+test('keep-all 은 한글 단어를 지키고, 넘치면 글자 단위로 자른다', () => {
+  const l = fm.layoutText('안녕하세요 반갑습니다', style, { maxWidth: 20 });
+  assert.equal(l.brokeWord, true);
+  assert.deepEqual(texts(l), ['안녕하세', '요', '반갑습니', '다']);
+
+  const roomy = fm.layoutText('안녕하세요 반갑습니다', style, { maxWidth: 30 });
+  assert.equal(roomy.brokeWord, false);
+  assert.deepEqual(texts(roomy), ['안녕하세요', '반갑습니다']);
+});
+
+test('wordBreak normal 은 한글 음절 사이에서도 줄을 바꾼다', () => {
+  const l = fm.layoutText('안녕하세요 반갑습니다', style, { maxWidth: 20, wordBreak: 'normal' });
+  assert.equal(l.brokeWord, false);
+  assert.deepEqual(texts(l), ['안녕하세', '요 반갑', '습니다']);
+});
+
+test('닫는 문장부호는 줄 맨 앞에 오지 않는다', () => {
+  const l = fm.layoutText('가나다라, 마바사아.', style, { maxWidth: 25 });
+  assert.deepEqual(texts(l), ['가나다라,', '마바사아.']);
+  assert.ok(l.lines.every((line) => !/^[,.]/.test(line.text)));
+});
+
+test('maxLines 를 넘기면 마지막 줄에 말줄임표를 붙인다', () => {
+  const l = fm.layoutText('one two three four', style, { maxWidth: 30, maxLines: 2 });
+  assert.equal(l.truncated, true);
+  assert.deepEqual(texts(l), ['one', 'two t…']);
+  assert.ok(l.lines[1].width <= 30);
+  assert.deepEqual(texts(fm.layoutText('one two', style, { maxWidth: 30, maxLines: 0 })), []);
+});
+
+test('truncateText: 글자 경계에서 자르고 맞으면 그대로 둔다', () => {
+  assert.equal(fm.truncateText('abcdefghij', style, 30), 'abcde…');
+  assert.equal(fm.truncateText('abc', style, 30), 'abc');
+  assert.equal(fm.truncateText('👍🏽👍🏽👍🏽👍🏽', style, 15), '👍🏽👍🏽…');
+  assert.equal(fm.truncateText('abcdef', style, 25, { ellipsis: '...' }), 'ab...');
+  assert.equal(fm.truncateText('abcdef', style, 3), ''); // 말줄임표조차 안 들어감
+});
+
+test('fitText: 상자에 들어가는 가장 큰 크기를 찾는다', () => {
+  const big = fm.fitText('abc def', { family: 'Moon Sans', size: 20 }, { maxWidth: 35, maxHeight: 60 });
+  assert.equal(big.fits, true);
+  assert.equal(big.size, 20);
+  assert.deepEqual(texts(big), ['abc', 'def']);
+
+  const shrunk = fm.fitText('abc def', { family: 'Moon Sans', size: 20 }, { maxWidth: 35, maxHeight: 20 });
+  assert.equal(shrunk.fits, true);
+  assert.ok(shrunk.size <= 10 && shrunk.size > 9, `size ${shrunk.size}`);
+  assert.deepEqual(texts(shrunk), ['abc def']);
+  assert.ok(shrunk.height <= 20);
+});
+
+test('fitText: 최소 크기로도 안 되면 들어가는 줄까지만 말줄임', () => {
+  const l = fm.fitText('alpha beta gamma delta', { family: 'Moon Sans', size: 20 }, { maxWidth: 25, maxHeight: 12, minSize: 10 });
+  assert.equal(l.fits, false);
+  assert.equal(l.size, 10);
+  assert.equal(l.truncated, true);
+  assert.deepEqual(texts(l), ['alph…']);
+});
+
+test('drawText: 정렬/기준선에 맞춰 줄마다 그린다', () => {
+  const ctx = new FakeContext();
+  const layout = fm.drawText(ctx, 'hello world', { family: 'Moon Sans', size: 10, color: '#123' }, {
+    x: 50, y: 100, maxWidth: 30, align: 'center', baseline: 'middle', stroke: { color: '#000', width: 2 },
+  });
+  assert.deepEqual(texts(layout), ['hello', 'world']);
+  const draws = ctx.calls.filter((c) => c.op === 'fill' || c.op === 'stroke');
+  // 블록 높이 25 의 가운데가 y=100 → 줄 중심 87.5+6.25, 100+6.25
+  assert.deepEqual(draws.map((c) => [c.op, c.text, c.x, c.y]), [
+    ['stroke', 'hello', 50, 93.75],
+    ['fill', 'hello', 50, 93.75],
+    ['stroke', 'world', 50, 106.25],
+    ['fill', 'world', 50, 106.25],
+  ]);
+  assert.equal(ctx.calls[0].op, 'save');
+  assert.equal(ctx.calls[ctx.calls.length - 1].op, 'restore');
+  assert.equal(ctx.fillStyle, '#123');
+  assert.equal(ctx.textAlign, 'center');
+
+  // 미리 만든 layout 도 그대로 그림
+  const again = new FakeContext();
+  fm.drawText(again, layout, style, { y: 0, baseline: 'bottom' });
+  assert.deepEqual(again.calls.filter((c) => c.op === 'fill').map((c) => c.y), [-18.75, -6.25]);
+});
+
+test('measure / estimateLineHeight 기본값', () => {
+  assert.equal(fm.measure('가나다', { family: 'X', size: 20 }).width, 30);
+  assert.equal(fm.estimateLineHeight({ size: 20 }), 25);
+  assert.equal(fm.estimateLineHeight({ size: 20, lineHeight: '30px' }), 30);
+  assert.equal(fm.estimateLineHeight({ size: 20, lineHeight: '150%' }), 30);
+  assert.equal(fm.estimateLineHeight({ size: 20, lineHeight: 1.5 }), 30);
+});
@@ -0,0 +1,258 @@
+// FontKitJS 로딩 / 레지스트리 / 프리셋 / 이벤트 / select() 테스트 (실행: node --test test/*.test.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFontKit, fakeFetch, FakeElement } = require('./helpers/fake-dom');
+const build = require('./helpers/font-builder');
+
+const SRC = [{ url: '/fonts/Moon.woff2', format: 'woff2' }];
+
+function manager(options = {}, env = {}) {
+  const { FontKitJS, document } = loadFontKit(env);
+  const fm = new FontKitJS.FontManager(Object.assign({ timeout: 40, defaultLanguage: 'ko' }, options));
+  return { fm, FontKitJS, document };
+}
+
+test('로드 성공: document.fonts 에 추가되고 load/ready 이벤트가 난다', async () => {
+  const { fm, document } = manager();
+  const events = [];
+  fm.on('load', (e) => events.push(['load', e.name, e.result.status]));
+  fm.on('ready', (e) => events.push(['ready', e.name, e.ok]));
+
+  const res = await fm.loadFont({ name: 'Moon Sans', src: SRC, descriptors: { weight: '100 900' } });
+  assert.equal(res.ok, true);
+  assert.equal(res.result.status, 'loaded');
+  assert.equal(res.info, null);
+  assert.equal(document.fonts.has('Moon Sans'), true);
+  assert.deepEqual(events, [['load', 'Moon Sans', 'loaded'], ['ready', 'Moon Sans', true]]);
+
+  // FontFace 에 넘긴 src / 기본 descriptor
+  const face = document.fonts.faces[0];
+  assert.equal(face.source, 'url("/fonts/Moon.woff2") format("woff2")');
+  assert.deepEqual(face.descriptors, { style: 'normal', weight: '100 900', stretch: 'normal', display: 'swap', unicodeRange: undefined });
+});
+
+test('로드 실패: @font-face 를 주입하고 ok=false 로 끝난다', async () => {
+  const { fm, document } = manager({}, { fontFace: 'fail' });
+  const res = await fm.loadFont({ name: 'Broken', src: [{ local: 'Broken Local' }, ...SRC] });
+  assert.equal(res.ok, false);
+  assert.equal(res.result.status, 'failed');
+  assert.equal(res.result.timedOut, false);
+  assert.match(res.result.error.message, /NetworkError/);
+  assert.match(document.injectedCSS, /@font-face \{ font-family: Broken; src: local\("Broken Local"\), url\("\/fonts\/Moon.woff2"\) format\("woff2"\); font-display: swap; \}/);
+});
+
+test('로드 시간 초과: 멈춘 load() 를 기다리지 않고 timedOut 으로 끝난다', async () => {
+  const { fm } = manager({ timeout: 30 }, { fontFace: 'hang' });
+  const started = Date.now();
+  const res = await fm.loadFont({ name: 'Slow', src: SRC });
+  assert.equal(res.ok, false);
+  assert.equal(res.result.status, 'failed');
+  assert.equal(res.result.timedOut, true);
+  assert.match(res.result.error.message, /timed out after 30ms: Slow/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('FontFace 생성자 예외도 실패로 처리한다', async () => {
+  const { fm } = manager({}, { fontFace: 'throw' });
+  const res = await fm.loadFont({ name: 'Bad', src: SRC });
+  assert.equal(res.result.status, 'failed');
+  assert.equal(res.result.timedOut, false);
+  assert.ok(res.result.error instanceof SyntaxError);
+});
+
+test('FontFace 가 없으면 @font-face 주입으로 대신한다', async () => {
+  const { FontKitJS, document } = loadFontKit({ fontFace: null });
+  const loader = new FontKitJS.FontLoader({ timeout: 10 });
+  const res = await loader.load({ name: 'Old Browser', src: SRC, descriptors: { weight: 700, unicodeRange: 'U+AC00-D7A3' } });
+  assert.deepEqual(res, { status: 'injected', font: null });
+  assert.match(document.injectedCSS, /font-family: "Old Browser";.*font-weight: 700; unicode-range: U\+AC00-D7A3;/);
+});
+
+test('waitFor: 글꼴이 적용되지 않으면 timeout 뒤 false', async () => {
+  const { FontKitJS, document } = loadFontKit();
+  const loader = new FontKitJS.FontLoader({ timeout: 20 });
+  assert.equal(await loader.waitFor('Never Loaded'), false);
+  assert.equal(document.body.childNodes.length, 0); // 측정용 span 은 지워짐
+});
+
+test('잘못된 descriptor 는 거부한다', async () => {
+  const { fm } = manager();
+  await assert.rejects(fm.loadFont({ name: 'NoSrc', src: [] }), /missing name\/src/);
+  await assert.rejects(fm.loadFont(null), /missing name\/src/);
+});
+
+test('레지스트리: 등록한 글꼴을 기본 fallback / 언어와 함께 보관한다', async () => {
+  const { fm } = manager({ defaultFallback: ['serif'] });
+  await fm.loadFont({ name: 'A', src: SRC, languages: ['ko'] });
+  await fm.ensureFonts([{ name: 'B', src: SRC, fallback: ['monospace'] }]);
+  assert.deepEqual(fm.listFonts().map((f) => f.name), ['A', 'B']);
+  assert.deepEqual(fm.getFont('A').fallback, ['serif']);
+  assert.deepEqual(fm.getFont('A').languages, ['ko']);
+  assert.deepEqual(fm.getFont('B').fallback, ['monospace']);
+  assert.equal(fm.getFont('missing'), undefined);
+});
+
+test('parse: 글꼴 파일을 읽어 info / fontMetrics / coverage 를 제공한다', async () => {
+  const files = { '/fonts/Moon.ttf': build.sfnt(build.sampleTables()) };
+  const { fm } = manager({ defaultLanguage: 'en' }, { fetch: fakeFetch(files) });
+  const seen = [];
+  fm.on('info', (e) => seen.push(e.info.family));
+
+  const res = await fm.loadFont({ name: 'Moon', src: SRC, metricsUrl: '/fonts/Moon.ttf' });
+  assert.equal(res.info.family, 'Moon Sans');
+  assert.deepEqual(seen, ['Moon Sans']);
+  assert.equal(fm.getInfo('Moon'), res.info);
+  assert.equal(fm.fontMetrics('Moon', 10).lineHeight, 10.9);
+  assert.equal(fm.coverage('Moon', 'ABC').covered, true);
+  assert.equal(fm.getInfo('nope'), null);
+  assert.equal(fm.coverage('nope', 'A'), null);
+  // 줄 높이를 정하지 않으면 파싱된 ascent + descent + lineGap
+  assert.equal(fm.estimateLineHeight({ family: 'Moon', size: 10 }), 10.9);
+  assert.equal(fm.estimateLineHeight({ family: 'Moon', size: 10, lineHeight: 2 }), 20);
+});
+
+test('parse 실패는 로드를 실패시키지 않고 parseerror 이벤트만 낸다', async () => {
+  const { fm } = manager({}, { fetch: fakeFetch({}) });
+  const errors = [];
+  fm.on('parseerror', (e) => errors.push(e.error.message));
+  const res = await fm.loadFont({ name: 'NoFile', src: SRC, parse: true });
+  assert.equal(res.ok, true);
+  assert.equal(res.info, null);
+  assert.deepEqual(errors, ['HTTP 404 while fetching /fonts/Moon.woff2']);
+  await assert.rejects(fm.loadInfo('unknown'), /Unknown font/);
+});
+
+test('이벤트: on 이 돌려준 함수로 해제하고, 리스너 예외는 삼킨다', () => {
+  const { fm } = manager();
+  const got = [];
+  const off = fm.on('preset', (e) => got.push(e.name));
+  fm.on('preset', () => { throw new Error('boom'); });
+  const originalError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args[0]);
+  try {
+    fm.registerPreset('one', { family: 'A' });
+    off();
+    fm.registerPreset('two', { family: 'B' });
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(got, ['one']);
+  assert.equal(logged.length, 2);
+  fm.off('none', () => {}); // 등록된 적 없는 이벤트도 안전
+});
+
+test('프리셋: 한국어 기본 프리셋을 등록한다', () => {
+  const { fm, FontKitJS } = manager();
+  FontKitJS.createKoreanPresets(fm);
+  assert.equal(fm.getPreset('body-kr').family, 'Noto Sans KR');
+  assert.deepEqual(fm.getPreset('headline-kr').axes, { wght: 700, wdth: 100, opsz: 28 });
+  assert.deepEqual(fm.getPreset('mono').languages, ['en', 'ko']);
+  assert.equal(fm.getPreset('missing'), undefined);
+});
+
+test('composeFamily: 이름 이스케이프와 언어별 글꼴 우선', async () => {
+  const { fm } = manager({ defaultFallback: ['sans-serif'] });
+  await fm.loadFont({ name: 'Gowun Dodum', src: SRC, languages: ['ko'] });
+  await fm.loadFont({ name: 'Inter', src: SRC, languages: ['en'] });
+  await fm.loadFont({ name: 'Any', src: SRC });
+
+  assert.equal(fm.composeFamily('Pretendard'), 'Pretendard, "Gowun Dodum", sans-serif');
+  assert.equal(fm.composeFamily('Pretendard', ['serif'], ['en']), 'Pretendard, Inter, serif');
+  assert.equal(fm.composeFamily('Inter', null, ['en', 'ko']), 'Inter, "Gowun Dodum", sans-serif');
+  // 따옴표는 지우고 공백이 있거나 따옴표가 있던 이름은 감쌈
+  assert.equal(fm.composeFamily(`Bad "Name'`, [], ['xx']), '"Bad Name"');
+  assert.equal(fm.composeFamily(`Ab"c`, [], ['xx']), '"Abc"');
+});
+
+test('applyToElement / createClass: 축과 기능 문자열', () => {
+  const { fm, document } = manager({ defaultFallback: ['sans-serif'] });
+  const el = new FakeElement('div', document);
+  fm.applyToElement(el, {
+    family: 'Moon Sans', size: 18, weight: 650, stretch: 90, lineHeight: 1.4, letterSpacing: 0.5, color: '#fff',
+    axes: { wght: 650, slnt: -10, opsz: '14', ital: null },
+    features: { liga: true, kern: false, cv01: 2, ss02: null },
+  });
+  assert.equal(el.style.fontFamily, '"Moon Sans", sans-serif');
+  assert.equal(el.style.fontSize, '18px');
+  assert.equal(el.style.fontWeight, '650');
+  assert.equal(el.style.fontStretch, '90%');
+  assert.equal(el.style.fontVariationSettings, '"wght" 650, "slnt" -10, "opsz" 14');
+  assert.equal(el.style.fontFeatureSettings, '"liga" on, "kern" off, "cv01" 2');
+  assert.equal(el.style.lineHeight, '1.4');
+  assert.equal(el.style.letterSpacing, '0.5px');
+
+  // 축/기능을 비우면 설정도 지움
+  fm.applyToElement(el, { family: 'Moon Sans' });
+  assert.equal(el.style.fontVariationSettings, '');
+  assert.equal(el.style.fontFeatureSettings, '');
+
+  // setAxis/setFeature 는 기존 값을 읽어 고침
+  fm.setAxis(el, 'wght', 300);
+  fm.setAxis(el, 'wdth', 87.5);
+  assert.equal(el.style.fontVariationSettings, '"wght" 300, "wdth" 87.5');
+  assert.equal(fm.getAxis(el, 'wdth'), 87.5);
+  fm.setFeature(el, 'liga', 0);
+  fm.setFeature(el, 'ss01', 1);
+  assert.equal(fm.getFeature(el, 'ss01'), 1);
+  assert.equal(el.style.fontFeatureSettings, '"liga" 0, "ss01" 1');
+
+  const classes = [];
+  fm.on('class', (e) => classes.push(e.className));
+  fm.createClass('title', { family: 'Moon Sans', size: 24, weight: 700, axes: { wght: 700 }, features: { kern: 1 } });
+  fm.createClass('title', { family: 'Moon Sans', size: 24, weight: 700, axes: { wght: 700 }, features: { kern: 1 } });
+  assert.deepEqual(classes, ['title', 'title']);
+  const css = document.injectedCSS;
+  assert.match(css, /\.title \{\n  font-family: "Moon Sans", sans-serif;\n  font-size: 24px;\n  font-weight: 700;/);
+  assert.match(css, /font-variation-settings: "wght" 700;\n  font-feature-settings: "kern" 1;\n\}/);
+  assert.equal(css.match(/\.title \{/g).length, 1); // 같은 규칙은 한 번만 주입
+});
+
+test('bindElement: update 가 다시 적용된다', () => {
+  const { fm, document } = manager({ defaultFallback: ['sans-serif'] });
+  const el = new FakeElement('p', document);
+  el.textContent = '안녕';
+  const bound = fm.bindElement(el, { family: 'A', size: 10 });
+  bound.update({ size: 20, weight: 700 });
+  assert.equal(el.style.fontSize, '20px');
+  assert.equal(el.style.fontWeight, '700');
+  assert.equal(bound.style.size, 20);
+  assert.equal(bound.measure().width, 20); // 2글자 × 20px / 2
+});
+
+test('select(): 언어 / 가변 / 굵기 범위 / 이름 선호 / 글리프 커버리지 순위', async () => {
+  const tables = build.sampleTables();
+  const noHangul = build.sampleTables({ withFormat12: false });
+  noHangul.cmap = build.cmap([{ platform: 3, encoding: 1, data: build.cmap4([{ start: 0x41, end: 0x5a, delta: 1 - 0x41 }]) }]);
+  const files = { '/ko.ttf': build.sfnt(tables), '/latin.ttf': build.sfnt(noHangul) };
+  const { fm } = manager({}, { fetch: fakeFetch(files) });
+
+  await fm.loadFont({ name: 'Static KR', src: SRC, languages: ['ko'], descriptors: { weight: 400 } });
+  await fm.loadFont({ name: 'Variable KR', src: SRC, languages: ['ko', 'en'], descriptors: { weight: '100 900' } });
+  await fm.loadFont({ name: 'Variable Latin', src: SRC, languages: ['en'], descriptors: { weight: '200 800' } });
+  await fm.loadFont({ name: 'Parsed KR', src: SRC, languages: ['ko'], metricsUrl: '/ko.ttf', descriptors: { weight: 400 } });
+  await fm.loadFont({ name: 'Parsed Latin', src: SRC, languages: ['ko'], metricsUrl: '/latin.ttf', descriptors: { weight: 400 } });
+  await fm.loadFont({ name: 'Untagged', src: SRC });
+
+  const names = (list) => list.map((f) => f.name);
+  // 가변만: 언어 일치(ko)가 있는 가변 글꼴
+  assert.deepEqual(names(fm.select({ languages: ['ko'] })), ['Variable KR']);
+  assert.deepEqual(names(fm.select({ languages: ['en'] })), ['Variable KR', 'Variable Latin']);
+  // 굵기 범위는 가변 범위 또는 고정 굵기로 판단, 범위 정보 없으면 통과
+  assert.deepEqual(names(fm.select({ languages: ['en'], weightRange: [100, 900] })), ['Variable KR']);
+  assert.deepEqual(
+    names(fm.select({ languages: ['ko'], variable: false, weightRange: [400, 400] })),
+    ['Variable KR', 'Parsed KR', 'Parsed Latin', 'Static KR', 'Untagged']
+  );
+  // 언어 점수: 두 언어 모두 맞는 글꼴이 위
+  assert.deepEqual(names(fm.select({ languages: ['ko', 'en'], variable: true })), ['Variable KR', 'Variable Latin']);
+  // prefer 는 이름 부분 일치만 남김
+  assert.deepEqual(names(fm.select({ languages: ['ko'], variable: false, prefer: 'static' })), ['Static KR']);
+  // text: 글리프가 없다고 알려진 글꼴은 빠지고, 있다고 알려진 글꼴이 맨 앞
+  assert.deepEqual(
+    names(fm.select({ languages: ['ko'], variable: false, text: '가A' })),
+    ['Parsed KR', 'Variable KR', 'Static KR', 'Untagged']
+  );
+});
@@ -0,0 +1,160 @@
+// FontKitJS OpenType 표 파싱 / WOFF 디코딩 테스트 (실행: node --test test/*.test.js)
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFontKit } = require('./helpers/fake-dom');
+const build = require('./helpers/font-builder');
+
+const { FontKitJS } = loadFontKit();
+const { parseFont } = FontKitJS;
+
+test('head / hhea / OS/2 에서 메트릭을 읽는다', async () => {
+  const info = await parseFont(build.sfnt(build.sampleTables()));
+  assert.equal(info.unitsPerEm, 1000);
+  assert.deepEqual(info.hhea, { ascender: 800, descender: -200, lineGap: 90 });
+  assert.equal(info.os2.version, 4);
+  assert.equal(info.os2.weightClass, 300);
+  assert.equal(info.os2.widthClass, 5);
+  assert.deepEqual(info.os2.typo, { ascender: 880, descender: -120, lineGap: 200 });
+  assert.deepEqual(info.os2.win, { ascent: 900, descent: 300 });
+  assert.equal(info.os2.xHeight, 500);
+  assert.equal(info.os2.capHeight, 700);
+
+  // USE_TYPO_METRICS 가 꺼져 있으면 hhea 값을 씀
+  assert.equal(info.metricsSource, 'hhea');
+  assert.deepEqual(info.scaledMetrics(20), { ascent: 16, descent: 4, lineGap: 1.8, lineHeight: 21.8, normalLineHeightRatio: 1.09 });
+});
+
+test('USE_TYPO_METRICS 가 켜져 있으면 OS/2 typo 메트릭을 쓴다', async () => {
+  const info = await parseFont(build.sfnt(build.sampleTables({ useTypoMetrics: true })));
+  assert.equal(info.metricsSource, 'OS/2');
+  assert.equal(info.ascender, 880);
+  assert.equal(info.descender, -120);
+  assert.equal(info.lineGap, 200);
+});
+
+test('OS/2 가 없거나 짧으면 os2 는 null 이고 hhea 를 쓴다', async () => {
+  const tables = build.sampleTables();
+  delete tables['OS/2'];
+  const info = await parseFont(build.sfnt(tables));
+  assert.equal(info.os2, null);
+  assert.equal(info.metricsSource, 'hhea');
+});
+
+test('name 표: 원하는 언어 → 영어 → Mac 순서로 고른다', async () => {
+  const bytes = build.sfnt(build.sampleTables());
+  const en = await parseFont(bytes);
+  assert.equal(en.family, 'Moon Sans');
+  assert.equal(en.subfamily, 'Regular');
+  assert.equal(en.fullName, 'Moon Sans Regular');
+  assert.equal(en.postScriptName, 'MoonSans-Regular');
+
+  const ko = await parseFont(bytes, { language: 'ko' });
+  assert.equal(ko.family, '달빛 산스');
+
+  const macOnly = await parseFont(build.sfnt({
+    head: build.head(),
+    hhea: build.hhea(),
+    name: build.name([{ platform: 1, encoding: 0, lang: 0, id: 1, value: 'Mac Family' }]),
+  }));
+  assert.equal(macOnly.family, 'Mac Family');
+});
+
+test('fvar: 축과 이름 있는 인스턴스를 읽는다', async () => {
+  const info = await parseFont(build.sfnt(build.sampleTables()));
+  assert.equal(info.isVariable, true);
+  assert.deepEqual(info.axes, [
+    { tag: 'wght', min: 100, default: 400, max: 900, hidden: false, name: 'Weight' },
+    // 이름 ID 가 name 표에 없으면 태그를 이름으로 씀
+    { tag: 'slnt', min: -12.5, default: 0, max: 0, hidden: true, name: 'slnt' },
+  ]);
+  assert.deepEqual(info.instances, [
+    { name: 'Light', coordinates: { wght: 300, slnt: 0 } },
+    { name: 'Bold', coordinates: { wght: 700, slnt: -12.5 }, postScriptName: 'MoonSans-Bold' },
+  ]);
+});
+
+test('fvar 가 없으면 가변 글꼴이 아니다', async () => {
+  const tables = build.sampleTables();
+  delete tables.fvar;
+  const info = await parseFont(build.sfnt(tables));
+  assert.equal(info.isVariable, false);
+  assert.deepEqual(info.axes, []);
+  assert.deepEqual(info.instances, []);
+});
+
+test('cmap 형식 4: idDelta 와 idRangeOffset 구간을 모두 읽는다', async () => {
+  const info = await parseFont(build.sfnt(build.sampleTables({ withFormat12: false })));
+  assert.equal(info.glyphOf(0x41), 1);
+  assert.equal(info.glyphOf(0x43), 3);
+  assert.equal(info.glyphOf(0x44), 0);
+  assert.equal(info.glyphOf(0xac00), 10);
+  assert.equal(info.glyphOf(0xac01), 0);       // glyphIdArray 의 0 은 없는 글자
+  assert.equal(info.glyphOf(0xac02), 12);
+  assert.equal(info.glyphOf(0x1f600), 0);      // 형식 4 는 BMP 밖을 모름
+});
+
+test('cmap 형식 12 가 있으면 형식 4 보다 먼저 쓴다', async () => {
+  const info = await parseFont(build.sfnt(build.sampleTables()));
+  assert.equal(info.glyphOf(0x42), 2);
+  assert.equal(info.glyphOf(0xac00), 10);
+  assert.equal(info.glyphOf(0xac02), 0);       // 형식 12 에는 없는 글자
+  assert.equal(info.glyphOf(0x1f601), 21);
+  assert.equal(info.hasCodePoint(0x1f600), true);
+});
+
+test('coverage: 공백/제어문자/변형 선택자는 세지 않는다', async () => {
+  const info = await parseFont(build.sfnt(build.sampleTables()));
+  assert.deepEqual(info.coverage('A B\n가'), { covered: true, ratio: 1, missing: [] });
+  assert.deepEqual(info.coverage('😀️'), { covered: true, ratio: 1, missing: [] });
+  const partial = info.coverage('AB각각');
+  assert.equal(partial.covered, false);
+  assert.equal(partial.ratio, 0.5);
+  assert.deepEqual(partial.missing, ['각']);
+  assert.deepEqual(info.coverage(''), { covered: true, ratio: 1, missing: [] });
+});
+
+test('WOFF: 압축된 표를 풀어 TTF 와 같은 결과를 낸다', async () => {
+  const tables = build.sampleTables();
+  const fromTtf = await parseFont(build.sfnt(tables));
+  const fromWoff = await parseFont(build.woff(tables));
+  assert.equal(fromWoff.unitsPerEm, fromTtf.unitsPerEm);
+  assert.deepEqual(fromWoff.hhea, fromTtf.hhea);
+  assert.deepEqual(fromWoff.os2, fromTtf.os2);
+  assert.deepEqual(fromWoff.names, fromTtf.names);
+  assert.deepEqual(fromWoff.axes, fromTtf.axes);
+  assert.deepEqual(fromWoff.instances, fromTtf.instances);
+  for (const cp of [0x41, 0xac00, 0xac01, 0x1f600]) assert.equal(fromWoff.glyphOf(cp), fromTtf.glyphOf(cp));
+});
+
+test('ArrayBuffer 와 Uint8Array 부분 뷰를 모두 받는다', async () => {
+  const bytes = build.sfnt(build.sampleTables());
+  const padded = new Uint8Array(bytes.length + 8);
+  padded.set(bytes, 8);
+  const fromView = await parseFont(padded.subarray(8));
+  const fromBuffer = await parseFont(bytes.buffer);
+  assert.equal(fromView.family, 'Moon Sans');
+  assert.equal(fromBuffer.family, 'Moon Sans');
+});
+
+test('TTC 는 첫 번째 글꼴을 읽는다', async () => {
+  const face = build.sfnt(build.sampleTables());
+  const ttc = new Uint8Array(16 + face.length);
+  ttc.set([0x74, 0x74, 0x63, 0x66, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 16]); // 'ttcf', v1, 1 face, offset 16
+  // 표 오프셋은 파일 처음 기준이므로 16 바이트씩 밀어 줌
+  const view = new DataView(face.buffer.slice(0));
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) view.setUint32(12 + i * 16 + 8, view.getUint32(12 + i * 16 + 8) + 16);
+  ttc.set(new Uint8Array(view.buffer), 16);
+  const info = await parseFont(ttc);
+  assert.equal(info.family, 'Moon Sans');
+});
+
+test('WOFF2 / 알 수 없는 형식 / 필수 표 누락은 오류', async () => {
+  const woff2 = new Uint8Array(48);
+  woff2.set([0x77, 0x4f, 0x46, 0x32]); // 'wOF2'
+  await assert.rejects(parseFont(woff2), /WOFF2/);
+  await assert.rejects(parseFont(new Uint8Array(64).fill(7)), /Unknown font format/);
+  await assert.rejects(parseFont(build.sfnt({ head: build.head() })), /missing head\/hhea/);
+});
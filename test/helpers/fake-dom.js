@@ -0,0 +1,125 @@
+// FontKitJS 테스트용 가짜 브라우저 환경: document / document.fonts / canvas / FontFace
+// 폭 계산 규칙(고정): 글자(grapheme) 하나 = 글꼴 크기의 절반(px)
+'use strict';
+
+const path = require('node:path');
+
+const FONT_PATH = path.join(__dirname, '..', '..', 'js', 'Temporary-library-js', 'font.js');
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const graphemeCount = (text) => Array.from(segmenter.segment(String(text))).length;
+const sizeOf = (font) => parseFloat((/(\d+(?:\.\d+)?)px/.exec(font || '') || [])[1] || '10');
+const firstFamily = (family) => String(family || '').split(',')[0].trim().replace(/^"|"$/g, '');
+
+class FakeContext {
+  constructor() {
+    this.font = '10px sans-serif';
+    this.calls = [];
+  }
+  measureText(text) {
+    return { width: graphemeCount(text) * sizeOf(this.font) / 2 };
+  }
+  fillText(text, x, y) { this.calls.push({ op: 'fill', text, x, y, font: this.font, align: this.textAlign }); }
+  strokeText(text, x, y) { this.calls.push({ op: 'stroke', text, x, y }); }
+  save() { this.calls.push({ op: 'save' }); }
+  restore() { this.calls.push({ op: 'restore' }); }
+  clearRect() {}
+  getImageData(x, y, w, h) { return { data: new Uint8ClampedArray(w * h * 4) }; }
+}
+
+class FakeElement {
+  constructor(tagName, doc) {
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = doc;
+    this.style = {};
+    this.attributes = {};
+    this.childNodes = [];
+    this.parentNode = null;
+    this.textContent = '';
+    if (this.tagName === 'CANVAS') this.context = new FakeContext();
+  }
+  setAttribute(name, value) { this.attributes[name] = String(value); }
+  appendChild(child) {
+    child.parentNode = this;
+    this.childNodes.push(child);
+    if (child.nodeType === 3) this.textContent += child.data;
+    return child;
+  }
+  remove() {
+    if (!this.parentNode) return;
+    const list = this.parentNode.childNodes;
+    list.splice(list.indexOf(this), 1);
+    this.parentNode = null;
+  }
+  getContext() { return this.context; }
+  // 등록(document.fonts.add)된 글꼴이 적용되면 폭이 달라짐 → FontLoader.waitFor 가 감지
+  getBoundingClientRect() {
+    const family = firstFamily(this.style.fontFamily);
+    const loaded = family !== 'monospace' && this.ownerDocument.fonts.has(family);
+    return { width: loaded ? 110 : 100, height: 32 };
+  }
+}
+
+class FakeFontFaceSet {
+  constructor() { this.faces = []; }
+  add(face) { this.faces.push(face); }
+  has(family) { return this.faces.some((f) => f.family === family); }
+}
+
+class FakeDocument {
+  constructor() {
+    this.fonts = new FakeFontFaceSet();
+    this.head = new FakeElement('head', this);
+    this.body = new FakeElement('body', this);
+  }
+  createElement(tag) { return new FakeElement(tag, this); }
+  createTextNode(data) { return { nodeType: 3, data }; }
+  // FontKitJS 가 주입한 <style data-fontkitjs> 의 CSS 전체
+  get injectedCSS() {
+    return this.head.childNodes.filter((n) => n.attributes && n.attributes['data-fontkitjs']).map((n) => n.textContent).join('\n');
+  }
+}
+
+// behavior: 'load' | 'fail' | 'hang' | 'throw' (생성자에서 예외)
+function makeFontFace(behavior = 'load') {
+  return class FakeFontFace {
+    constructor(family, source, descriptors) {
+      if (behavior === 'throw') throw new SyntaxError(`Invalid descriptor for ${family}`);
+      this.family = family;
+      this.source = source;
+      this.descriptors = descriptors;
+      this.status = 'unloaded';
+    }
+    load() {
+      if (behavior === 'fail') return Promise.reject(new Error(`NetworkError: ${this.family}`));
+      if (behavior === 'hang') return new Promise(() => {});
+      this.status = 'loaded';
+      return Promise.resolve(this);
+    }
+  };
+}
+
+/**
+ * 전역에 가짜 환경을 깔고 font.js 를 새로 읽어 옴(supportsFontFace 는 읽을 때 정해짐)
+ * @param {{ fontFace?: 'load'|'fail'|'hang'|'throw'|null, fetch?: Function }} [options]
+ */
+function loadFontKit({ fontFace = 'load', fetch } = {}) {
+  const doc = new FakeDocument();
+  globalThis.document = doc;
+  globalThis.requestAnimationFrame = (cb) => setTimeout(() => cb(performance.now()), 1);
+  if (fontFace) globalThis.FontFace = makeFontFace(fontFace);
+  else delete globalThis.FontFace;
+  if (fetch) globalThis.fetch = fetch;
+  delete require.cache[FONT_PATH];
+  return { FontKitJS: require(FONT_PATH), document: doc };
+}
+
+// fetch 대역: url → Uint8Array 표, 없으면 404
+function fakeFetch(files) {
+  return async (url) => {
+    const bytes = files[url];
+    if (!bytes) return { ok: false, status: 404, arrayBuffer: async () => new ArrayBuffer(0) };
+    return { ok: true, status: 200, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) };
+  };
+}
+
+module.exports = { loadFontKit, fakeFetch, FakeContext, FakeElement };
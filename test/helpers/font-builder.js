@@ -0,0 +1,193 @@
+// 테스트용 최소 OpenType 바이너리 생성기 (head/hhea/OS/2/name/fvar/cmap, sfnt 및 WOFF 포장)
+'use strict';
+
+const zlib = require('node:zlib');
+
+class Writer {
+  constructor() { this.bytes = []; }
+  u8(v) { this.bytes.push(v & 0xff); return this; }
+  u16(v) { return this.u8(v >> 8).u8(v); }
+  i16(v) { return this.u16(v & 0xffff); }
+  u32(v) { return this.u16((v >>> 16) & 0xffff).u16(v & 0xffff); }
+  fixed(v) { return this.u32(Math.round(v * 65536) >>> 0); }
+  tag(s) { for (const ch of s.padEnd(4, ' ')) this.u8(ch.charCodeAt(0)); return this; }
+  raw(arr) { for (const b of arr) this.u8(b); return this; }
+  pad(n) { while (this.bytes.length < n) this.u8(0); return this; }
+  get length() { return this.bytes.length; }
+  done() { return Uint8Array.from(this.bytes); }
+}
+
+function head({ unitsPerEm = 1000 } = {}) {
+  const w = new Writer().u32(0x00010000).pad(18).u16(unitsPerEm);
+  return w.pad(54).done();
+}
+
+function hhea({ ascender = 800, descender = -200, lineGap = 0 } = {}) {
+  return new Writer().u32(0x00010000).i16(ascender).i16(descender).i16(lineGap).pad(36).done();
+}
+
+function os2({ weightClass = 400, widthClass = 5, useTypoMetrics = false, typo = {}, win = {}, xHeight = 500, capHeight = 700 } = {}) {
+  const w = new Writer().u16(4).pad(4).u16(weightClass).u16(widthClass).pad(62);
+  w.u16(useTypoMetrics ? 0x0080 : 0x0040).pad(68);
+  w.i16(typo.ascender ?? 880).i16(typo.descender ?? -120).i16(typo.lineGap ?? 200);
+  w.u16(win.ascent ?? 900).u16(win.descent ?? 300).pad(86);
+  return w.i16(xHeight).i16(capHeight).pad(96).done();
+}
+
+// records: [{ platform, encoding, lang, id, value }] (platform 3 → UTF-16BE, 1 → 1바이트)
+function name(records) {
+  const storage = new Writer();
+  const offsets = records.map((r) => {
+    const start = storage.length;
+    for (const ch of r.value) {
+      if (r.platform === 3) storage.u16(ch.charCodeAt(0));
+      else storage.u8(ch.charCodeAt(0));
+    }
+    return { start, length: storage.length - start };
+  });
+  const w = new Writer().u16(0).u16(records.length).u16(6 + records.length * 12);
+  records.forEach((r, i) => {
+    w.u16(r.platform).u16(r.encoding).u16(r.lang).u16(r.id).u16(offsets[i].length).u16(offsets[i].start);
+  });
+  return w.raw(storage.done()).done();
+}
+
+// axes: [{ tag, min, default, max, hidden?, nameId }], instances: [{ nameId, coords: [..], psNameId? }]
+function fvar(axes, instances, { withPostScriptNames = false } = {}) {
+  const instanceSize = 4 + axes.length * 4 + (withPostScriptNames ? 2 : 0);
+  const w = new Writer().u16(1).u16(0).u16(16).u16(2).u16(axes.length).u16(20).u16(instances.length).u16(instanceSize);
+  for (const a of axes) {
+    w.tag(a.tag).fixed(a.min).fixed(a.default).fixed(a.max).u16(a.hidden ? 1 : 0).u16(a.nameId);
+  }
+  for (const inst of instances) {
+    w.u16(inst.nameId).u16(0);
+    inst.coords.forEach((c) => w.fixed(c));
+    if (withPostScriptNames) w.u16(inst.psNameId ?? 0xffff);
+  }
+  return w.done();
+}
+
+// segments: [{ start, end, delta } | { start, end, glyphs: [..] }] (0xFFFF 끝 구간은 자동 추가)
+function cmap4(segments) {
+  const segs = [...segments, { start: 0xffff, end: 0xffff, delta: 1 }];
+  const segCount = segs.length;
+  const glyphArray = [];
+  const w = new Writer().u16(4).u16(0).u16(0).u16(segCount * 2).u16(0).u16(0).u16(0);
+  segs.forEach((s) => w.u16(s.end));
+  w.u16(0);
+  segs.forEach((s) => w.u16(s.start));
+  segs.forEach((s) => w.i16(s.glyphs ? 0 : s.delta));
+  // idRangeOffset 는 자기 위치에서 glyphIdArray 안 첫 글리프까지의 바이트 거리
+  segs.forEach((s, i) => {
+    if (!s.glyphs) { w.u16(0); return; }
+    w.u16((segCount - i) * 2 + glyphArray.length * 2);
+    glyphArray.push(...s.glyphs);
+  });
+  glyphArray.forEach((g) => w.u16(g));
+  const bytes = w.done();
+  bytes[2] = bytes.length >> 8;
+  bytes[3] = bytes.length & 0xff;
+  return bytes;
+}
+
+// groups: [{ start, end, glyph }]
+function cmap12(groups) {
+  const w = new Writer().u16(12).u16(0).u32(16 + groups.length * 12).u32(0).u32(groups.length);
+  groups.forEach((g) => w.u32(g.start).u32(g.end).u32(g.glyph));
+  return w.done();
+}
+
+// subtables: [{ platform, encoding, data }]
+function cmap(subtables) {
+  const w = new Writer().u16(0).u16(subtables.length);
+  let offset = 4 + subtables.length * 8;
+  subtables.forEach((s) => { w.u16(s.platform).u16(s.encoding).u32(offset); offset += s.data.length; });
+  subtables.forEach((s) => w.raw(s.data));
+  return w.done();
+}
+
+// { tag: Uint8Array } → TTF 바이너리
+function sfnt(tables) {
+  const tags = Object.keys(tables);
+  const w = new Writer().u32(0x00010000).u16(tags.length).u16(0).u16(0).u16(0);
+  let offset = 12 + tags.length * 16;
+  const layout = tags.map((tag) => {
+    const rec = { tag, offset, length: tables[tag].length };
+    offset += Math.ceil(rec.length / 4) * 4;
+    return rec;
+  });
+  layout.forEach((r) => w.tag(r.tag).u32(0).u32(r.offset).u32(r.length));
+  layout.forEach((r) => w.raw(tables[r.tag]).pad(r.offset + Math.ceil(r.length / 4) * 4));
+  return w.done();
+}
+
+// 같은 표를 WOFF 1.0 으로 (작아지는 표만 zlib 압축)
+function woff(tables) {
+  const tags = Object.keys(tables);
+  const entries = tags.map((tag) => {
+    const orig = tables[tag];
+    const packed = zlib.deflateSync(orig);
+    return { tag, orig, data: packed.length < orig.length ? Uint8Array.from(packed) : orig };
+  });
+  const w = new Writer().tag('wOFF').u32(0x00010000).u32(0).u16(tags.length).u16(0).u32(0).pad(44);
+  let offset = 44 + tags.length * 20;
+  entries.forEach((e) => {
+    e.offset = offset;
+    offset += Math.ceil(e.data.length / 4) * 4;
+  });
+  entries.forEach((e) => w.tag(e.tag).u32(e.offset).u32(e.data.length).u32(e.orig.length).u32(0));
+  entries.forEach((e) => w.raw(e.data).pad(e.offset + Math.ceil(e.data.length / 4) * 4));
+  return w.done();
+}
+
+// 테스트에서 기본으로 쓰는 가변 한글 글꼴 표 묶음
+function sampleTables({ withFormat12 = true, useTypoMetrics = false } = {}) {
+  const subtables = [{
+    platform: 3, encoding: 1,
+    data: cmap4([
+      { start: 0x41, end: 0x43, delta: 1 - 0x41 },       // A-C → 1..3
+      { start: 0xac00, end: 0xac02, glyphs: [10, 0, 12] }, // 가, (각 없음), 갂
+    ]),
+  }];
+  if (withFormat12) {
+    subtables.push({
+      platform: 3, encoding: 10,
+      data: cmap12([
+        { start: 0x41, end: 0x43, glyph: 1 },
+        { start: 0xac00, end: 0xac00, glyph: 10 },
+        { start: 0x1f600, end: 0x1f601, glyph: 20 },     // 😀😁
+      ]),
+    });
+  }
+  return {
+    head: head({ unitsPerEm: 1000 }),
+    hhea: hhea({ ascender: 800, descender: -200, lineGap: 90 }),
+    'OS/2': os2({ weightClass: 300, useTypoMetrics }),
+    name: name([
+      { platform: 1, encoding: 0, lang: 0, id: 1, value: 'Mac Family' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 1, value: 'Moon Sans' },
+      { platform: 3, encoding: 1, lang: 0x0412, id: 1, value: '달빛 산스' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 2, value: 'Regular' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 4, value: 'Moon Sans Regular' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 6, value: 'MoonSans-Regular' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 256, value: 'Weight' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 257, value: 'Light' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 258, value: 'Bold' },
+      { platform: 3, encoding: 1, lang: 0x0409, id: 259, value: 'MoonSans-Bold' },
+    ]),
+    fvar: fvar(
+      [
+        { tag: 'wght', min: 100, default: 400, max: 900, nameId: 256 },
+        { tag: 'slnt', min: -12.5, default: 0, max: 0, hidden: true, nameId: 999 },
+      ],
+      [
+        { nameId: 257, coords: [300, 0] },
+        { nameId: 258, coords: [700, -12.5], psNameId: 259 },
+      ],
+      { withPostScriptNames: true }
+    ),
+    cmap: cmap(subtables),
+  };
+}
+
+module.exports = { head, hhea, os2, name, fvar, cmap, cmap4, cmap12, sfnt, woff, sampleTables };